@@ -0,0 +1,105 @@
+// File: scripts/lint-catalog.js
+// Checks public/tool_information.txt and public/product_urls.txt for
+// data-quality problems, that data/relationships.json only links entries
+// that exist, and that sample projects still find the tools they need.
+// Exits with status 1 when any errors are found.
+//
+// Usage: npm run lint:catalog [-- --json]
+import { promises as fs } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseCatalog } from "../src/lib/catalog.js";
+import { formatLintReport, lintCatalog } from "../src/lib/catalogLint.js";
+import {
+  parseProjectSummary,
+  projectSearchText,
+} from "../src/lib/projectSummary.js";
+import {
+  RELATIONSHIPS_FILE,
+  checkRelationships,
+  getRelationships,
+} from "../src/lib/relationships.js";
+import { buildIndex, selectEntries } from "../src/lib/retrieval.js";
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const publicDir = path.join(rootDir, "public");
+
+// Summaries as the gathering prompt writes them, with the subcategory at
+// least one selected entry must be in
+const RETRIEVAL_CHECKS = [
+  {
+    name: "concrete patio break-out",
+    summary: `## FINAL SUMMARY ##
+- Project type: Break up a concrete patio and lay a new one
+- Dimensions: 4 x 3 m, 100mm thick
+- Materials: Concrete
+- Space constraints: Not given
+- Setting: Not given
+- Deadline: Not given
+- Hire start date: Not given
+- Schedule: Not given
+- Indoors or outdoors: Outdoors
+- Terrain and access: Not given
+- Other constraints: None
+The customer wants to break up an old concrete patio and lay a new one.`,
+    subcategory: /breaker/i,
+  },
+];
+
+async function main() {
+  const [catalogText, productUrlsText] = await Promise.all([
+    fs.readFile(path.join(publicDir, "tool_information.txt"), "utf8"),
+    fs.readFile(path.join(publicDir, "product_urls.txt"), "utf8"),
+  ]);
+
+  const issues = lintCatalog(catalogText, productUrlsText);
+
+  // getRelationships resolves the data directory from the working directory
+  process.chdir(rootDir);
+  const { entries } = parseCatalog(catalogText);
+  const problems = checkRelationships(
+    await getRelationships(),
+    Object.fromEntries(entries.map((entry) => [entry.id, entry]))
+  );
+  for (const problem of problems) {
+    issues.push({
+      severity: "error",
+      rule: "relationship",
+      line: 0,
+      file: RELATIONSHIPS_FILE,
+      message: problem,
+    });
+  }
+
+  const index = buildIndex(entries);
+  for (const check of RETRIEVAL_CHECKS) {
+    const { entries: selected } = selectEntries(
+      index,
+      projectSearchText(check.summary, parseProjectSummary(check.summary))
+    );
+    if (!selected.some((entry) => check.subcategory.test(entry.subcategory))) {
+      issues.push({
+        severity: "error",
+        rule: "retrieval",
+        line: 0,
+        file: "tool_information.txt",
+        message: `The ${check.name} project selects nothing in a subcategory matching ${check.subcategory}`,
+      });
+    }
+  }
+
+  if (process.argv.includes("--json")) {
+    console.log(JSON.stringify(issues, null, 2));
+  } else {
+    console.log(formatLintReport(issues));
+  }
+
+  if (issues.some((issue) => issue.severity === "error")) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error("Error linting catalog:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,63 @@
+// File: scripts/lint-prompts.js
+// Checks that every prompt version in data/prompts/ has all its templates,
+// that each template declares exactly the variables it uses, and that
+// PROMPT_VERSIONS only weights versions that exist. Exits with status 1
+// when any errors are found.
+//
+// Usage: npm run lint:prompts
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  PROMPT_NAMES,
+  getPromptWeights,
+  listPromptVersions,
+  loadPromptTemplate,
+} from "../src/lib/promptTemplates.js";
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+async function main() {
+  // The prompt directory is resolved from the working directory
+  process.chdir(rootDir);
+
+  const errors = [];
+  const versions = await listPromptVersions();
+  for (const version of versions) {
+    for (const name of PROMPT_NAMES) {
+      try {
+        const template = await loadPromptTemplate(version, name);
+        console.log(
+          `${version}/${name}.txt: ${
+            template.variables.join(", ") || "no variables"
+          }`
+        );
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+  }
+
+  try {
+    for (const { version } of getPromptWeights()) {
+      if (!versions.includes(version)) {
+        errors.push(
+          `PROMPT_VERSIONS weights ${version}, which does not exist.`
+        );
+      }
+    }
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  if (errors.length > 0) {
+    errors.forEach((error) => console.error(`error: ${error}`));
+    process.exitCode = 1;
+  } else {
+    console.log(`${versions.length} prompt version(s) OK.`);
+  }
+}
+
+main().catch((error) => {
+  console.error("Error linting prompts:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,21 @@
+// File: app/admin/page.js
+import CatalogAdmin from "../components/CatalogAdmin";
+
+export const metadata = {
+  title: "Catalog Admin",
+};
+
+export default function AdminPage() {
+  return (
+    <main className="min-h-screen bg-gray-50">
+      <div className="container mx-auto px-4 py-8">
+        <div
+          className="max-w-6xl mx-auto bg-white rounded-lg shadow-lg overflow-hidden border border-gray-200"
+          style={{ height: "85vh" }}
+        >
+          <CatalogAdmin />
+        </div>
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,44 @@
+import { CatalogEditError, saveEntry } from "@/lib/catalogEditor";
+import { checkAdminToken } from "@/lib/adminAuth";
+
+/**
+ * Save staff changes to one catalog entry
+ * Body: { changes: { description?, specs?, specNotes?, prices?, ppe?, url? }, version }
+ * @param {Request} request - The incoming request
+ * @param {Object} context - Route context with the entry id
+ * @returns {Response} - The saved entry, or the validation problems
+ */
+export async function PUT(request, { params }) {
+  const denied = checkAdminToken(request);
+  if (denied) {
+    return denied;
+  }
+
+  const { id } = await params;
+
+  try {
+    const { changes, version } = await request.json();
+    if (!changes || typeof changes !== "object") {
+      return Response.json(
+        { error: true, text: "No changes were sent." },
+        { status: 400 }
+      );
+    }
+
+    const { entry, url } = await saveEntry(id, changes, version);
+    const { raw, line, endLine, ...saved } = entry;
+    return Response.json({ entry: { ...saved, url }, error: false });
+  } catch (error) {
+    if (error instanceof CatalogEditError) {
+      return Response.json(
+        { error: true, text: error.message, problems: error.problems },
+        { status: error.status }
+      );
+    }
+    console.error("Error saving catalog entry:", error);
+    return Response.json(
+      { error: true, text: "Unable to save the entry. Please try again." },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,37 @@
+import { PPE_TAGS, PRICE_TIERS } from "@/lib/catalog";
+import { getCatalog } from "@/lib/catalogStore";
+import { checkAdminToken } from "@/lib/adminAuth";
+
+/**
+ * List every catalog entry with its product URL for the admin page
+ * @param {Request} request - The incoming request
+ * @returns {Response} - Catalog version, entries and the allowed values
+ */
+export async function GET(request) {
+  const denied = checkAdminToken(request);
+  if (denied) {
+    return denied;
+  }
+
+  let catalog;
+  try {
+    catalog = await getCatalog();
+  } catch (error) {
+    console.error("Error reading information files:", error);
+    return Response.json(
+      { error: true, text: "Unable to load the catalog." },
+      { status: 500 }
+    );
+  }
+
+  return Response.json({
+    version: catalog.version,
+    entries: catalog.entries.map(({ raw, line, endLine, ...entry }) => ({
+      ...entry,
+      url: catalog.urlsById[entry.id] || "",
+    })),
+    priceTiers: PRICE_TIERS,
+    ppeTags: Object.keys(PPE_TAGS),
+    error: false,
+  });
+}
@@ -0,0 +1,46 @@
+import { getCatalog } from "@/lib/catalogStore";
+import { summariseEntry } from "@/lib/catalogSearch";
+
+/**
+ * Get one catalog entry with its full specifications and guidance
+ * @param {Request} request - The incoming request
+ * @param {Object} context - Route context with the entry id
+ * @returns {Response} - The entry, or 404 if there is none with that id
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+
+  let catalog;
+  try {
+    catalog = await getCatalog();
+  } catch (error) {
+    console.error("Error reading information files:", error);
+    return Response.json(
+      { error: true, text: "Unable to load the catalog." },
+      { status: 500 }
+    );
+  }
+
+  const entry = catalog.entriesById[id];
+  if (!entry) {
+    return Response.json(
+      { error: true, text: `No catalog entry with id "${id}".` },
+      { status: 404 }
+    );
+  }
+
+  return Response.json({
+    catalogVersion: catalog.version,
+    entry: {
+      ...summariseEntry(catalog, entry),
+      usageInformation: entry.usageInformation,
+      specs: entry.specs,
+      specNotes: entry.specNotes,
+      keyFunctions: entry.keyFunctions,
+      operatingGuidelines: entry.operatingGuidelines,
+      safetyNotes: entry.safetyNotes,
+      usageRecommendations: entry.usageRecommendations,
+    },
+    error: false,
+  });
+}
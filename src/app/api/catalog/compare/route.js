@@ -0,0 +1,61 @@
+import { getCatalog } from "@/lib/catalogStore";
+import { MAX_COMPARE, MIN_COMPARE, compareEntries } from "@/lib/comparison";
+
+/**
+ * Compare two to four catalog entries side by side
+ * Query parameters: ids, comma-separated or repeated, in display order
+ * @param {Request} request - The incoming request
+ * @returns {Response} - The tools and comparison rows
+ */
+export async function GET(request) {
+  const ids = [
+    ...new Set(
+      new URL(request.url).searchParams
+        .getAll("ids")
+        .flatMap((value) => value.split(","))
+        .map((id) => id.trim())
+        .filter(Boolean)
+    ),
+  ];
+
+  if (ids.length < MIN_COMPARE || ids.length > MAX_COMPARE) {
+    return Response.json(
+      {
+        error: true,
+        text: `Choose between ${MIN_COMPARE} and ${MAX_COMPARE} tools to compare.`,
+      },
+      { status: 400 }
+    );
+  }
+
+  let catalog;
+  try {
+    catalog = await getCatalog();
+  } catch (error) {
+    console.error("Error reading information files:", error);
+    return Response.json(
+      { error: true, text: "Unable to load the catalog." },
+      { status: 500 }
+    );
+  }
+
+  const missing = ids.filter((id) => !catalog.entriesById[id]);
+  if (missing.length > 0) {
+    return Response.json(
+      {
+        error: true,
+        text: `No catalog entry with id "${missing.join('", "')}".`,
+      },
+      { status: 404 }
+    );
+  }
+
+  return Response.json({
+    catalogVersion: catalog.version,
+    ...compareEntries(
+      catalog,
+      ids.map((id) => catalog.entriesById[id])
+    ),
+    error: false,
+  });
+}
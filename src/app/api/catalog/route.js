@@ -0,0 +1,50 @@
+import { getCatalog } from "@/lib/catalogStore";
+import {
+  CatalogQueryError,
+  parseCatalogQuery,
+  searchCatalog,
+} from "@/lib/catalogSearch";
+
+/**
+ * Search and browse the hire catalog
+ * Query parameters (all optional): q, mainCategory, subcategory, ppe,
+ * power (110v, 240v, petrol, diesel, cordless), transport (car, small-van,
+ * transit, towing, delivery), maxPrice with priceTier (default day1), limit
+ * and offset. Filters can be repeated to match any of several values; ppe
+ * matches tools that need every tag given.
+ * @param {Request} request - The incoming request
+ * @returns {Response} - Matching entries and facet counts
+ */
+export async function GET(request) {
+  let query;
+  try {
+    query = parseCatalogQuery(new URL(request.url).searchParams);
+  } catch (error) {
+    if (error instanceof CatalogQueryError) {
+      return Response.json(
+        { error: true, text: error.message },
+        { status: error.status }
+      );
+    }
+    throw error;
+  }
+
+  let catalog;
+  try {
+    catalog = await getCatalog();
+  } catch (error) {
+    console.error("Error reading information files:", error);
+    return Response.json(
+      { error: true, text: "Unable to load the catalog." },
+      { status: 500 }
+    );
+  }
+
+  return Response.json({
+    catalogVersion: catalog.version,
+    ...searchCatalog(catalog, query),
+    limit: query.limit,
+    offset: query.offset,
+    error: false,
+  });
+}
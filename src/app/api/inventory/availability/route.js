@@ -0,0 +1,73 @@
+import {
+  InventoryError,
+  checkAvailability,
+  findFreeWindows,
+} from "@/lib/inventory";
+
+/**
+ * Check whether an asset can be hired for a date range
+ * Query parameters: assetCode, start, end (YYYY-MM-DD, inclusive), and
+ * optionally branch and quantity. When the asset is unavailable the
+ * response also lists the next free ranges of the same length.
+ * @param {Request} request - The incoming request
+ * @returns {Response} - Availability per branch
+ */
+export async function GET(request) {
+  const params = new URL(request.url).searchParams;
+  const assetCode = params.get("assetCode");
+  const start = params.get("start");
+  const end = params.get("end") || start;
+  const options = {
+    branch: params.get("branch") || undefined,
+    // Not parseInt, so "2abc" or "1.5" are refused rather than read as a number
+    quantity: Number(params.get("quantity") || "1"),
+  };
+
+  if (!assetCode) {
+    return Response.json(
+      { error: true, text: "An assetCode is required." },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const availability = await checkAvailability(
+      assetCode,
+      start,
+      end,
+      options
+    );
+    const freeWindows =
+      availability.tracked && !availability.available
+        ? await findFreeWindows(
+            assetCode,
+            (Date.parse(end) - Date.parse(start)) / 86400000 + 1,
+            start,
+            options
+          )
+        : [];
+
+    return Response.json({ ...availability, freeWindows, error: false });
+  } catch (error) {
+    return inventoryErrorResponse(error);
+  }
+}
+
+/**
+ * Turn an error from the inventory into a JSON response
+ * @param {Error} error - The error thrown
+ * @returns {Response} - Error response
+ */
+function inventoryErrorResponse(error) {
+  if (error instanceof InventoryError) {
+    return Response.json(
+      { error: true, text: error.message },
+      { status: error.status }
+    );
+  }
+  console.error("Error checking availability:", error);
+  return Response.json(
+    { error: true, text: "Unable to check availability. Please try again." },
+    { status: 500 }
+  );
+}
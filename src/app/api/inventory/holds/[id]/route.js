@@ -0,0 +1,28 @@
+import { releaseHold } from "@/lib/inventory";
+
+/**
+ * Release a hold before it expires
+ * @param {Request} request - The incoming request
+ * @param {Object} context - Route context with the hold id
+ * @returns {Response} - Confirmation, or 404 if the hold does not exist
+ */
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+
+  try {
+    const released = await releaseHold(id);
+    if (!released) {
+      return Response.json(
+        { error: true, text: "Hold not found or already expired." },
+        { status: 404 }
+      );
+    }
+    return Response.json({ released: true, error: false });
+  } catch (error) {
+    console.error("Error releasing hold:", error);
+    return Response.json(
+      { error: true, text: "Unable to release the hold. Please try again." },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,42 @@
+import { InventoryError, placeHold } from "@/lib/inventory";
+
+/**
+ * Place a temporary hold on an asset for a date range
+ * Body: { assetCode, start, end, branch?, quantity?, minutes? }
+ * @param {Request} request - The incoming request
+ * @returns {Response} - The new hold, which lapses at expiresAt
+ */
+export async function POST(request) {
+  try {
+    const { assetCode, start, end, branch, quantity, minutes } =
+      await request.json();
+
+    if (!assetCode) {
+      return Response.json(
+        { error: true, text: "An assetCode is required." },
+        { status: 400 }
+      );
+    }
+
+    const hold = await placeHold(assetCode, {
+      start,
+      end,
+      branch,
+      quantity,
+      minutes,
+    });
+    return Response.json({ hold, error: false }, { status: 201 });
+  } catch (error) {
+    if (error instanceof InventoryError) {
+      return Response.json(
+        { error: true, text: error.message },
+        { status: error.status }
+      );
+    }
+    console.error("Error placing hold:", error);
+    return Response.json(
+      { error: true, text: "Unable to place the hold. Please try again." },
+      { status: 500 }
+    );
+  }
+}
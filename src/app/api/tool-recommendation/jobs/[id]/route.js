@@ -0,0 +1,34 @@
+import { errorResponse } from "@/lib/apiErrors";
+import { loadJob } from "@/lib/jobs";
+import { streamJob } from "@/lib/jobs/response";
+
+/**
+ * Reattach to a reply. The events after the Last-Event-ID header (or the
+ * lastEventId query parameter), or the reply text after the offset query
+ * parameter, are sent, then the rest of the reply as it is produced.
+ * @param {Request} request - The incoming request
+ * @param {Object} context - Route context with the job id
+ * @returns {Response} - The reply as a text/event-stream
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+  const url = new URL(request.url);
+
+  try {
+    const job = await loadJob(id);
+    const afterId = parseInt(
+      request.headers.get("Last-Event-ID") ||
+        url.searchParams.get("lastEventId") ||
+        "0",
+      10
+    );
+    const offset = parseInt(url.searchParams.get("offset") || "0", 10);
+    return streamJob(
+      job,
+      { afterId: afterId || 0, offset: offset || 0 },
+      { "X-Session-Id": job.sessionId }
+    );
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
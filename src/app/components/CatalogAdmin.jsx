@@ -0,0 +1,393 @@
+"use client";
+
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { formatEntry } from "@/lib/catalog";
+import { PPE_LABELS } from "@/lib/safety";
+
+const TOKEN_KEY = "catalogAdminToken";
+
+export default function CatalogAdmin() {
+  const [token, setToken] = useState("");
+  const [catalog, setCatalog] = useState(null); // { version, entries, priceTiers, ppeTags }
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null); // Form values for the selected entry
+  const [filter, setFilter] = useState("");
+  const [status, setStatus] = useState(null); // { type: 'error' | 'success', text, problems }
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Remember the token for this browser tab only
+  useEffect(() => {
+    setToken(sessionStorage.getItem(TOKEN_KEY) || "");
+  }, []);
+
+  const loadCatalog = useCallback(async () => {
+    sessionStorage.setItem(TOKEN_KEY, token);
+    setStatus(null);
+    try {
+      const response = await fetch("/api/admin/catalog", {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setCatalog(null);
+        setStatus({ type: "error", text: data.text });
+        return null;
+      }
+      setCatalog(data);
+      return data;
+    } catch (error) {
+      setStatus({
+        type: "error",
+        text: "Unable to load the catalog: " + error.message,
+      });
+      return null;
+    }
+  }, [token]);
+
+  const selectEntry = (entry) => {
+    setSelectedId(entry.id);
+    setDraft(toDraft(entry));
+    setStatus(null);
+  };
+
+  // Entries grouped by main category, then subcategory
+  const groups = useMemo(() => {
+    if (!catalog) {
+      return [];
+    }
+    const needle = filter.trim().toLowerCase();
+    const byCategory = new Map();
+    for (const entry of catalog.entries) {
+      if (needle && !entry.productName.toLowerCase().includes(needle)) {
+        continue;
+      }
+      if (!byCategory.has(entry.mainCategory)) {
+        byCategory.set(entry.mainCategory, new Map());
+      }
+      const bySubcategory = byCategory.get(entry.mainCategory);
+      if (!bySubcategory.has(entry.subcategory)) {
+        bySubcategory.set(entry.subcategory, []);
+      }
+      bySubcategory.get(entry.subcategory).push(entry);
+    }
+    return [...byCategory.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([category, subcategories]) => ({
+        category,
+        subcategories: [...subcategories.entries()].sort(([a], [b]) =>
+          a.localeCompare(b)
+        ),
+      }));
+  }, [catalog, filter]);
+
+  const selected = catalog?.entries.find((entry) => entry.id === selectedId);
+  const changes = draft ? fromDraft(draft) : null;
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setStatus(null);
+    try {
+      const response = await fetch(`/api/admin/catalog/${selectedId}`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ changes, version: catalog.version }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setStatus({ type: "error", text: data.text, problems: data.problems });
+        return;
+      }
+
+      // Reload so the list and version match what was written
+      const reloaded = await loadCatalog();
+      const saved = reloaded?.entries.find((entry) => entry.id === selectedId);
+      if (saved) {
+        setDraft(toDraft(saved));
+      }
+      setStatus({ type: "success", text: "Saved." });
+    } catch (error) {
+      setStatus({ type: "error", text: "Unable to save: " + error.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const updateDraft = (field, value) =>
+    setDraft((prev) => ({ ...prev, [field]: value }));
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="bg-[#e26e2a] text-white p-4 flex justify-between items-center">
+        <h1 className="text-xl font-bold">Catalog Admin</h1>
+        <div className="flex">
+          <input
+            type="password"
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+            onKeyPress={(e) => e.key === "Enter" && loadCatalog()}
+            placeholder="Admin token"
+            className="p-1 rounded-l text-gray-800 text-sm"
+          />
+          <button
+            onClick={loadCatalog}
+            className="bg-white text-[#e26e2a] px-3 py-1 rounded-r hover:bg-gray-100 text-sm font-medium"
+          >
+            Load
+          </button>
+        </div>
+      </div>
+
+      {status && !draft && (
+        <div
+          className={`p-3 ${
+            status.type === "error"
+              ? "bg-red-100 text-red-800"
+              : "bg-green-100 text-green-800"
+          }`}
+        >
+          {status.text}
+        </div>
+      )}
+
+      {catalog && (
+        <div className="flex flex-1 min-h-0">
+          <div className="w-1/3 border-r border-gray-300 overflow-y-auto p-3 bg-gray-100">
+            <input
+              type="text"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              placeholder="Filter by name..."
+              className="w-full p-2 mb-3 border border-gray-300 rounded"
+            />
+            {groups.map(({ category, subcategories }) => (
+              <div key={category} className="mb-3">
+                <h2 className="font-bold">{category}</h2>
+                {subcategories.map(([subcategory, entries]) => (
+                  <div key={subcategory} className="ml-2">
+                    <h3 className="text-sm font-semibold text-gray-600 mt-1">
+                      {subcategory}
+                    </h3>
+                    <ul>
+                      {entries.map((entry) => (
+                        <li key={entry.id}>
+                          <button
+                            onClick={() => selectEntry(entry)}
+                            className={`text-left text-sm w-full px-2 py-1 rounded ${
+                              entry.id === selectedId
+                                ? "bg-black text-white"
+                                : "hover:bg-gray-200"
+                            }`}
+                          >
+                            {entry.productName}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          <div className="w-2/3 overflow-y-auto p-4">
+            {!draft && (
+              <p className="text-gray-600">Select an entry to edit.</p>
+            )}
+
+            {draft && selected && (
+              <>
+                <h2 className="text-lg font-bold">{selected.productName}</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                  {selected.mainCategory} &gt; {selected.subcategory}
+                  {selected.assetCode && ` · Asset code ${selected.assetCode}`}
+                </p>
+
+                <label className="block font-semibold mt-3">Description</label>
+                <textarea
+                  value={draft.description}
+                  onChange={(e) => updateDraft("description", e.target.value)}
+                  rows={3}
+                  className="w-full p-2 border border-gray-300 rounded"
+                />
+
+                <label className="block font-semibold mt-3">
+                  Technical specifications
+                </label>
+                <p className="text-xs text-gray-600">
+                  One per line as &quot;Name: value&quot;. Start a line with
+                  &quot;- &quot; for a note.
+                </p>
+                <textarea
+                  value={draft.specs}
+                  onChange={(e) => updateDraft("specs", e.target.value)}
+                  rows={8}
+                  className="w-full p-2 border border-gray-300 rounded font-mono text-sm"
+                />
+
+                <label className="block font-semibold mt-3">
+                  Hire prices (£ ex VAT)
+                </label>
+                <div className="flex flex-wrap gap-3">
+                  {catalog.priceTiers.map((tier) => (
+                    <label key={tier.key} className="text-sm">
+                      {tier.label}
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={draft.prices[tier.key] ?? ""}
+                        onChange={(e) =>
+                          updateDraft("prices", {
+                            ...draft.prices,
+                            [tier.key]: e.target.value,
+                          })
+                        }
+                        className="block w-24 p-1 border border-gray-300 rounded"
+                      />
+                    </label>
+                  ))}
+                </div>
+
+                <label className="block font-semibold mt-3">PPE</label>
+                <div className="flex flex-wrap gap-3">
+                  {catalog.ppeTags.map((tag) => (
+                    <label
+                      key={tag}
+                      className="text-sm flex items-center gap-1"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={draft.ppe.includes(tag)}
+                        onChange={(e) =>
+                          updateDraft(
+                            "ppe",
+                            e.target.checked
+                              ? [...draft.ppe, tag]
+                              : draft.ppe.filter((item) => item !== tag)
+                          )
+                        }
+                      />
+                      {PPE_LABELS[tag] || tag}
+                    </label>
+                  ))}
+                </div>
+
+                <label className="block font-semibold mt-3">Product URL</label>
+                <input
+                  type="url"
+                  value={draft.url}
+                  onChange={(e) => updateDraft("url", e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded"
+                />
+
+                {status && (
+                  <div
+                    className={`mt-4 p-3 rounded ${
+                      status.type === "error"
+                        ? "bg-red-100 text-red-800"
+                        : "bg-green-100 text-green-800"
+                    }`}
+                  >
+                    <p>{status.text}</p>
+                    {status.problems?.length > 0 && (
+                      <ul className="list-disc pl-6">
+                        {status.problems.map((problem) => (
+                          <li key={problem}>{problem}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+
+                <div className="mt-4 flex gap-2">
+                  <button
+                    onClick={handleSave}
+                    disabled={isSaving}
+                    className="bg-black text-white px-4 py-2 rounded disabled:bg-[#e26e2a]"
+                  >
+                    {isSaving ? "Saving..." : "Save"}
+                  </button>
+                  <button
+                    onClick={() => selectEntry(selected)}
+                    disabled={isSaving}
+                    className="border border-gray-300 px-4 py-2 rounded hover:bg-gray-100"
+                  >
+                    Discard changes
+                  </button>
+                </div>
+
+                <h3 className="font-semibold mt-6">Model preview</h3>
+                <p className="text-xs text-gray-600">
+                  The text the recommendation model sees for this tool.
+                </p>
+                <pre className="bg-gray-100 p-3 rounded text-sm whitespace-pre-wrap">
+                  {formatEntry({ ...selected, ...changes })}
+                </pre>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Turn an entry into form values
+ * @param {Object} entry - Entry from the admin API
+ * @returns {Object} - Form values, all strings except ppe
+ */
+function toDraft(entry) {
+  return {
+    description: entry.description,
+    specs: [
+      ...Object.entries(entry.specs).map(([key, value]) => `${key}: ${value}`),
+      ...entry.specNotes.map((note) => `- ${note}`),
+    ].join("\n"),
+    prices: Object.fromEntries(
+      Object.entries(entry.prices).map(([key, price]) => [key, String(price)])
+    ),
+    ppe: entry.ppe,
+    url: entry.url,
+  };
+}
+
+/**
+ * Turn form values into the changes sent to the admin API
+ * @param {Object} draft - Form values
+ * @returns {Object} - Entry changes
+ */
+function fromDraft(draft) {
+  const specs = {};
+  const specNotes = [];
+  for (const line of draft.specs.split("\n")) {
+    const trimmed = line.trim();
+    const separator = trimmed.indexOf(":");
+    if (!trimmed) {
+      continue;
+    }
+    if (trimmed.startsWith("- ") || separator === -1) {
+      specNotes.push(trimmed.replace(/^- /, ""));
+    } else {
+      specs[trimmed.slice(0, separator).trim()] = trimmed
+        .slice(separator + 1)
+        .trim();
+    }
+  }
+
+  return {
+    description: draft.description.replace(/\s*\n\s*/g, " ").trim(),
+    specs,
+    specNotes,
+    prices: Object.fromEntries(
+      Object.entries(draft.prices)
+        .filter(([, price]) => price !== "")
+        .map(([key, price]) => [key, parseFloat(price)])
+    ),
+    ppe: draft.ppe,
+    url: draft.url.trim(),
+  };
+}
@@ -0,0 +1,55 @@
+// app/components/
+const LABELS = [
+  ["projectType", "Project"],
+  ["dimensions", "Size"],
+  ["materials", "Materials"],
+  ["spaceConstraints", "Space constraints"],
+  ["setting", "Setting"],
+  ["deadline", "Deadline"],
+  ["hireStart", "Hire start"],
+  ["schedule", "Schedule"],
+  ["location", "Indoors or outdoors"],
+  ["terrain", "Terrain and access"],
+  ["constraints", "Other constraints"],
+];
+
+/**
+ * Render one field of the parsed project details
+ * @param {*} value - Field value
+ * @returns {string} - Display text
+ */
+function displayValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(", ") : "None";
+  }
+  if (value && typeof value === "object") {
+    return value.area
+      ? `${value.text} (about ${value.area.value} ${value.area.unit})`
+      : value.text;
+  }
+  return String(value).replace(/^\w/, (letter) => letter.toUpperCase());
+}
+
+export default function ProjectDetails({ project }) {
+  return (
+    <div className="mb-4 rounded-lg border border-gray-300 bg-white p-4 text-gray-800">
+      <h2 className="text-lg font-bold mb-2">Your Project</h2>
+      <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+        {LABELS.map(([key, label]) => (
+          <div key={key} className="contents">
+            <dt className="font-medium">{label}</dt>
+            <dd className={project[key] === null ? "text-gray-500 italic" : ""}>
+              {project[key] === null ? "Not given" : displayValue(project[key])}
+            </dd>
+          </div>
+        ))}
+      </dl>
+      {project.missing.length > 0 && (
+        <p className="text-sm text-gray-600 mt-2">
+          Details you didn&apos;t give are treated as unknown in the
+          recommendation.
+        </p>
+      )}
+    </div>
+  );
+}
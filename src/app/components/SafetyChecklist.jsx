@@ -0,0 +1,61 @@
+// app/components/
+export default function SafetyChecklist({ checklist }) {
+  const { ppe, tools, toolsWithoutPpe } = checklist;
+
+  if (ppe.length === 0 && tools.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4 rounded-lg border-2 border-yellow-400 bg-yellow-50 p-4 text-gray-800">
+      <h2 className="text-lg font-bold mb-2">PPE &amp; Safety Checklist</h2>
+
+      {ppe.length > 0 && (
+        <>
+          <h3 className="font-semibold mt-2">Protective equipment to bring</h3>
+          <ul className="my-2 pl-1">
+            {ppe.map((item) => (
+              <li key={item.tag} className="my-1">
+                <label className="flex items-start gap-2">
+                  <input type="checkbox" className="mt-1" />
+                  <span>
+                    <span className="font-medium">{item.label}</span>
+                    <span className="text-sm text-gray-600">
+                      {" "}
+                      &ndash; {item.tools.join(", ")}
+                    </span>
+                  </span>
+                </label>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {toolsWithoutPpe.length > 0 && (
+        <p className="text-sm text-gray-600 my-2">
+          No PPE is listed for {toolsWithoutPpe.join(", ")}. Please check with
+          our staff when you collect.
+        </p>
+      )}
+
+      {tools.length > 0 && (
+        <>
+          <h3 className="font-semibold mt-3">Safety notes</h3>
+          {tools.map((tool) => (
+            <div key={tool.id} className="my-2">
+              <p className="font-medium">{tool.productName}</p>
+              <ul className="list-disc pl-6">
+                {tool.notes.map((note, i) => (
+                  <li key={i} className="my-1 text-sm">
+                    {note}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+"use client";
+
+import { useState, useEffect } from "react";
+
+export default function ToolComparison({ ids, onClose }) {
+  const [comparison, setComparison] = useState(null); // { tools, sections }
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setComparison(null);
+    setError(null);
+
+    const load = async () => {
+      try {
+        const response = await fetch(
+          `/api/catalog/compare?ids=${ids.map(encodeURIComponent).join(",")}`
+        );
+        const data = await response.json();
+        if (cancelled) {
+          return;
+        }
+        if (!response.ok) {
+          setError(data.text);
+          return;
+        }
+        setComparison(data);
+      } catch (error) {
+        if (!cancelled) {
+          setError("Unable to load the comparison: " + error.message);
+        }
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [ids]);
+
+  return (
+    <div
+      className="fixed inset-0 z-10 flex items-center justify-center bg-black/50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-lg max-w-5xl w-full max-h-full overflow-auto text-gray-800"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="bg-[#e26e2a] text-white p-3 flex justify-between items-center sticky top-0">
+          <h2 className="text-lg font-bold">Compare Tools</h2>
+          <button
+            onClick={onClose}
+            className="bg-white text-[#e26e2a] px-3 py-1 rounded hover:bg-gray-100 text-sm font-medium"
+          >
+            Close
+          </button>
+        </div>
+
+        {error && <p className="p-4 text-red-800">{error}</p>}
+        {!comparison && !error && <p className="p-4">Loading...</p>}
+
+        {comparison && (
+          <table className="border-collapse w-full text-sm">
+            <thead>
+              <tr className="bg-gray-100 align-top">
+                <th className="py-2 px-3 text-left w-40"></th>
+                {comparison.tools.map((tool) => (
+                  <th key={tool.id} className="py-2 px-3 text-left">
+                    {tool.url ? (
+                      <a
+                        href={tool.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-blue-600 hover:underline"
+                      >
+                        {tool.productName}
+                      </a>
+                    ) : (
+                      tool.productName
+                    )}
+                    <p className="font-normal text-gray-600">
+                      {tool.subcategory}
+                    </p>
+                    {tool.description && (
+                      <p className="font-normal mt-1">{tool.description}</p>
+                    )}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            {comparison.sections.map((section) => (
+              <tbody key={section.title}>
+                <tr>
+                  <th
+                    colSpan={comparison.tools.length + 1}
+                    className="pt-4 pb-1 px-3 text-left font-bold"
+                  >
+                    {section.title}
+                  </th>
+                </tr>
+                {section.rows.map((row) => (
+                  <tr key={row.label} className="border-b border-gray-200">
+                    <th className="py-2 px-3 text-left font-semibold align-top">
+                      {row.label}
+                    </th>
+                    {row.values.map((value, i) => (
+                      <td
+                        key={comparison.tools[i].id}
+                        className="py-2 px-3 align-top"
+                        title={
+                          row.label === "Experience"
+                            ? comparison.tools[i].experience.reason
+                            : undefined
+                        }
+                      >
+                        {value ?? (
+                          <span className="text-gray-400">&ndash;</span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            ))}
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -2,9 +2,112 @@
 
 import { useState, useEffect, useRef, useCallback } from "react";
 import ReactMarkdown from "react-markdown";
+import SafetyChecklist from "./SafetyChecklist";
+import ProjectDetails from "./ProjectDetails";
+import ToolComparison from "./ToolComparison";
+import { readEventStream } from "@/lib/eventStream";
 
 // Constants
 const TIMEOUT_THRESHOLD = 8000; // 8 seconds (below Vercel's 10-second limit)
+const MAX_COMPARE = 4; // Most tools the comparison view shows side by side
+const MAX_REATTACHES = 3; // Tries to pick up a stalled reply before giving up
+
+// What the customer is told for each error code from the API, and what
+// they can do next: "retry" offers to send the request again, "restart"
+// offers a new project, and no action means changing what they sent or
+// coming back later
+const ERROR_HELP = {
+  INVALID_PHASE: {
+    text: "This conversation has moved on since your last message. Please start a new project.",
+    action: "restart",
+  },
+  HISTORY_TOO_LONG: {
+    text: "This conversation has got too long to continue. Please start a new project with a short summary of what you need.",
+    action: "restart",
+  },
+  SESSION_NOT_FOUND: {
+    text: "This conversation has expired. Please start a new project.",
+    action: "restart",
+  },
+  MESSAGE_TOO_LONG: {
+    text: "That message is too long. Please shorten it and send it again.",
+  },
+  CATALOG_UNAVAILABLE: {
+    text: "We can't reach our tool catalog right now. Please try again in a moment.",
+    action: "retry",
+  },
+  UPSTREAM_TIMEOUT: {
+    text: "The advisor took too long to answer.",
+    action: "retry",
+  },
+  UPSTREAM_BLOCKED: {
+    text: "The advisor couldn't answer that. Please rephrase your message and try again.",
+  },
+  UPSTREAM_ERROR: {
+    text: "The advisor is unavailable right now.",
+    action: "retry",
+  },
+  RATE_LIMITED: {
+    text: (error) =>
+      `You're sending messages faster than we can answer them. Please wait ${formatWait(
+        error.retryAfter
+      )} and try again.`,
+    action: "retry",
+  },
+  TURN_LIMIT_REACHED: {
+    text: "This conversation has reached its message limit. Please start a new project to carry on.",
+    action: "restart",
+  },
+  TOKEN_BUDGET_EXHAUSTED: {
+    text: "You've reached today's limit for the advisor. Please come back tomorrow.",
+  },
+};
+
+/**
+ * @param {number} [seconds] - Retry-After from a rate limited response
+ * @returns {string} - The wait in words
+ */
+function formatWait(seconds) {
+  if (!seconds) {
+    return "a moment";
+  }
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
+
+/**
+ * Turn an error envelope from the API into an Error carrying its code
+ * @param {Object} body - { error: true, code, text, retryable }
+ * @returns {Error} - The error to throw
+ */
+function apiError(body) {
+  return Object.assign(new Error(body.text || "Unknown error"), {
+    code: body.code,
+    retryable: body.retryable,
+    retryAfter: body.retryAfter,
+  });
+}
+
+/**
+ * Read the error envelope of a failed response
+ * @param {Response} response - A response that is not ok
+ * @returns {Promise<Error>} - The error to throw
+ */
+async function responseError(response) {
+  const body = await response.json().catch(() => null);
+  const retryAfter =
+    parseInt(response.headers.get("Retry-After") || "", 10) || undefined;
+  return body?.error
+    ? apiError({ retryAfter, ...body })
+    : apiError({
+        text: `Server responded with status: ${response.status}`,
+        retryable: response.status >= 500,
+        retryAfter,
+      });
+}
 
 export default function ToolHireChatbot() {
   const [messages, setMessages] = useState([
@@ -17,8 +120,12 @@ export default function ToolHireChatbot() {
   const [input, setInput] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [phase, setPhase] = useState("gathering"); // 'gathering' or 'recommendation'
-  const [conversationHistory, setConversationHistory] = useState([]);
-  const [projectInformation, setProjectInformation] = useState("");
+  const sessionIdRef = useRef(null); // Server-side conversation, created by the first request
+  const [projectDetails, setProjectDetails] = useState(null); // Fields parsed from the FINAL SUMMARY
+  const [safetyChecklist, setSafetyChecklist] = useState(null); // PPE and safety notes for the recommended tools
+  const [recommendedTools, setRecommendedTools] = useState([]); // Tools named in the recommendation
+  const [compareIds, setCompareIds] = useState([]); // Tools picked for comparison
+  const [showComparison, setShowComparison] = useState(false);
   const streamingEnabled = true; // Always use streaming responses
   const [currentStreamingMessage, setCurrentStreamingMessage] = useState(""); // State to hold current streaming message
   const messagesEndRef = useRef(null);
@@ -26,13 +133,102 @@ export default function ToolHireChatbot() {
 
   // Timeout handling references
   const timeoutRef = useRef(null);
-  const responseRef = useRef("");
   const isStreamingRef = useRef(false);
-  const currentRequestRef = useRef({
-    phase: "gathering",
-    userInput: "",
-    projectInformation: "",
-  });
+  const abortReadRef = useRef(null); // Stops reading a stalled stream so it can be reattached
+
+  // Keep the id of the session the server created or used for this conversation
+  const rememberSession = (response) => {
+    const sessionId = response.headers.get("X-Session-Id");
+    if (sessionId) {
+      sessionIdRef.current = sessionId;
+    }
+  };
+
+  // Read a streamed reply into the streaming message. The reply runs as a
+  // job on the server, so if the connection drops or stalls, reattach to
+  // the job from the last event received; no text is repeated.
+  // Resolves with the final event's data; rejects if the reply failed.
+  const readReply = async (response) => {
+    const jobId = response.headers.get("X-Job-Id");
+    let lastEventId = 0;
+    let fullContent = "";
+    let finalData = null;
+    let failure = null;
+
+    const handleEvent = ({ id, event, data }) => {
+      if (id !== undefined) {
+        lastEventId = id;
+      }
+      // Any event shows the server is still working on the reply
+      resetTimeoutTimer();
+
+      if (event === "token") {
+        // Update the streaming message
+        fullContent += data.text;
+        setCurrentStreamingMessage(fullContent);
+
+        // Update the last message in the messages array
+        setMessages((prev) => {
+          const newMessages = [...prev];
+          if (newMessages[newMessages.length - 1].streaming) {
+            newMessages[newMessages.length - 1].content = fullContent;
+          }
+          return newMessages;
+        });
+      } else if (event === "summary") {
+        setProjectDetails(data.project || null);
+      } else if (event === "error") {
+        failure = apiError(data);
+      } else if (event === "phase_complete" || event === "recommendation") {
+        finalData = data;
+        // The final text stands, e.g. when a reply was refused after streaming
+        if (typeof data.text === "string" && data.text !== fullContent) {
+          fullContent = data.text;
+          setMessages((prev) => {
+            const newMessages = [...prev];
+            if (newMessages[newMessages.length - 1].streaming) {
+              newMessages[newMessages.length - 1].content = fullContent;
+            }
+            return newMessages;
+          });
+        }
+      }
+    };
+
+    // Reattaching only gives up after several tries that bring nothing new
+    let attempts = 0;
+    while (true) {
+      const seenEventId = lastEventId;
+      abortReadRef.current = new AbortController();
+      try {
+        await readEventStream(
+          response.body,
+          handleEvent,
+          abortReadRef.current.signal
+        );
+      } catch (error) {
+        console.error("Stream interrupted:", error);
+      }
+      if (failure) {
+        throw failure;
+      }
+      if (finalData) {
+        return finalData;
+      }
+
+      attempts = lastEventId > seenEventId ? 1 : attempts + 1;
+      if (!jobId || attempts > MAX_REATTACHES) {
+        throw new Error("The connection to the server was lost.");
+      }
+      response = await fetch(
+        `/api/tool-recommendation/jobs/${encodeURIComponent(jobId)}`,
+        { headers: { "Last-Event-ID": String(lastEventId) } }
+      );
+      if (!response.ok) {
+        throw await responseError(response);
+      }
+    }
+  };
 
   // Clear any existing timeout
   const clearTimeoutTimer = () => {
@@ -48,24 +244,15 @@ export default function ToolHireChatbot() {
 
     if (isStreamingRef.current) {
       timeoutRef.current = setTimeout(() => {
-        console.log("Timeout detected, initiating continuation...");
-        handleTimeout(responseRef.current);
-        isStreamingRef.current = false;
+        console.log("Timeout detected, reattaching to the reply...");
+        abortReadRef.current?.abort();
       }, TIMEOUT_THRESHOLD);
     }
   };
 
   // Start tracking a streaming response
-  const startStreamTracking = (requestInfo) => {
+  const startStreamTracking = () => {
     isStreamingRef.current = true;
-    responseRef.current = "";
-    currentRequestRef.current = requestInfo;
-    resetTimeoutTimer();
-  };
-
-  // Update the response content as chunks arrive
-  const updateResponseContent = (chunk) => {
-    responseRef.current += chunk;
     resetTimeoutTimer();
   };
 
@@ -75,35 +262,6 @@ export default function ToolHireChatbot() {
     isStreamingRef.current = false;
   };
 
-  // Handle timeout by initiating continuation
-  const handleTimeout = (partialResponse) => {
-    console.log(
-      "Timeout detected, continuing from:",
-      partialResponse.slice(-100) + "..."
-    );
-
-    // Add a system message indicating timeout
-    setMessages((prev) => [
-      ...prev,
-      {
-        role: "system",
-        content: "Response was cut off due to timeout. Continuing...",
-      },
-    ]);
-
-    // Initiate the continuation request based on the current phase
-    if (currentRequestRef.current.phase === "gathering") {
-      handleContinuationForGathering(
-        currentRequestRef.current.userInput,
-        partialResponse
-      );
-    } else if (currentRequestRef.current.phase === "recommendation") {
-      handleContinuationForRecommendation(
-        currentRequestRef.current.projectInformation,
-        partialResponse
-      );
-    }
-  };
   const handleResetProject = useCallback(() => {
     // Reset all chat-related states
     setMessages([
@@ -116,23 +274,19 @@ export default function ToolHireChatbot() {
     setInput("");
     setIsLoading(false);
     setPhase("gathering");
-    setConversationHistory([]);
-    setProjectInformation("");
+    sessionIdRef.current = null; // The next request starts a new session
+    setProjectDetails(null);
+    setSafetyChecklist(null);
+    setRecommendedTools([]);
+    setCompareIds([]);
+    setShowComparison(false);
     setCurrentStreamingMessage("");
     setInitialMessageSent(false); // Reset this to trigger the initial message sequence
 
     // Clear any ongoing timeouts
     clearTimeoutTimer();
-    responseRef.current = "";
     isStreamingRef.current = false;
 
-    // Also reset the current request reference
-    currentRequestRef.current = {
-      phase: "gathering",
-      userInput: "",
-      projectInformation: "",
-    };
-
     // Add a small delay before triggering the initial message sequence
     setTimeout(() => {
       // This will trigger the useEffect for initial message
@@ -144,344 +298,63 @@ export default function ToolHireChatbot() {
     setMessages((prev) => [...prev, { role, content }]);
   };
 
-  // Continue from a cut-off response in the gathering phase
-  const handleContinuationForGathering = async (userInput, partialResponse) => {
-    setIsLoading(true);
-
-    // Add an empty assistant message for streaming
-    setCurrentStreamingMessage("");
-    setMessages((prev) => [
-      ...prev,
-      { role: "assistant", content: "", streaming: true },
-    ]);
-
-    try {
-      // Make the continuation request
-      const response = await fetch("/api/tool-recommendation", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          phase: "gathering",
-          userInput,
-          conversationHistory,
-          streaming: true,
-          continuationMode: true,
-          partialResponse,
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`Server responded with status: ${response.status}`);
-      }
-
-      // Start tracking the new stream
-      startStreamTracking({
-        phase: "gathering",
-        userInput,
-        projectInformation,
-      });
-
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let fullContent = "";
-      let completeData = null;
-
-      while (true) {
-        const { done, value } = await reader.read();
-
-        if (done) {
-          break;
-        }
-
-        // Process the chunks
-        const chunkText = decoder.decode(value);
-        const chunks = chunkText.split("\n").filter(Boolean);
-
-        for (const chunk of chunks) {
-          try {
-            const data = JSON.parse(chunk);
-
-            if (data.error) {
-              // Handle error
-              setMessages((prev) => {
-                const newMessages = [...prev];
-                // Replace the streaming message with error message
-                if (newMessages[newMessages.length - 1].streaming) {
-                  newMessages.pop(); // Remove streaming placeholder
-                }
-                return [
-                  ...newMessages,
-                  { role: "system", content: data.text, error: true },
-                ];
-              });
-              break;
-            }
-
-            if (!data.done) {
-              // Update the streaming message
-              fullContent += data.chunk;
-              setCurrentStreamingMessage(fullContent);
-              updateResponseContent(data.chunk);
-
-              // Update the last message in the messages array
-              setMessages((prev) => {
-                const newMessages = [...prev];
-                if (newMessages[newMessages.length - 1].streaming) {
-                  newMessages[newMessages.length - 1].content = fullContent;
-                }
-                return newMessages;
-              });
-            } else {
-              // Stream complete, store the final data
-              completeData = data;
-            }
-          } catch (error) {
-            console.error("Error parsing chunk:", error, chunk);
-          }
-        }
-      }
-
-      // Stream is complete, update with final data
-      if (completeData) {
-        finishStreamTracking();
-
-        // Remove the streaming flag
-        setMessages((prev) => {
-          const newMessages = [...prev];
-          if (newMessages[newMessages.length - 1].streaming) {
-            newMessages[newMessages.length - 1].streaming = false;
-          }
-          return newMessages;
-        });
-
-        // Update conversation history
-        if (completeData.conversationHistory) {
-          setConversationHistory(completeData.conversationHistory);
-        }
-
-        // Check if information gathering phase is complete
-        if (completeData.isComplete && phase === "gathering") {
-          setProjectInformation(completeData.projectInformation);
-
-          // Add transition message
-          setMessages((prev) => [
-            ...prev,
-            {
-              role: "system",
-              content:
-                "Information gathering complete. Analysing your project needs...",
-            },
-          ]);
-
-          // Switch to recommendation phase
-          setPhase("recommendation");
-
-          // Automatically trigger the recommendation phase
-          setTimeout(() => {
-            handleRecommendationPhase(completeData.projectInformation);
-          }, 1000);
-        }
+  // Replace the streaming message with an explanation of what went wrong,
+  // offering to retry or start again when that can help
+  const showError = (error, fallbackText, retry) => {
+    const help = ERROR_HELP[error.code];
+    const action = help ? help.action : error.retryable ? "retry" : null;
+    setMessages((prev) => {
+      const newMessages = [...prev];
+      // If there's a streaming message, remove it
+      if (
+        newMessages.length > 0 &&
+        newMessages[newMessages.length - 1].streaming
+      ) {
+        newMessages.pop();
       }
-    } catch (error) {
-      console.error("Error in continuation request:", error);
-      setMessages((prev) => {
-        const newMessages = [...prev];
-        // If there's a streaming message, remove it
-        if (
-          newMessages.length > 0 &&
-          newMessages[newMessages.length - 1].streaming
-        ) {
-          newMessages.pop();
-        }
-        return [
-          ...newMessages,
-          {
-            role: "system",
-            content:
-              "Sorry, there was an error continuing the response: " +
-              error.message,
-            error: true,
-          },
-        ];
-      });
-    } finally {
-      setIsLoading(false);
-      setCurrentStreamingMessage("");
-    }
-  };
-
-  // Continue from a cut-off response in the recommendation phase
-  const handleContinuationForRecommendation = async (
-    projectInfo,
-    partialResponse
-  ) => {
-    setIsLoading(true);
-
-    // Add an empty assistant message for streaming
-    setCurrentStreamingMessage("");
-    setMessages((prev) => [
-      ...prev,
-      { role: "assistant", content: "", streaming: true },
-    ]);
-
-    try {
-      // Make the continuation request
-      const response = await fetch("/api/tool-recommendation", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
+      return [
+        ...newMessages,
+        {
+          role: "system",
+          content: !help
+            ? fallbackText + error.message
+            : typeof help.text === "function"
+            ? help.text(error)
+            : help.text,
+          error: true,
+          action,
+          retry: action === "retry" ? retry : null,
         },
-        body: JSON.stringify({
-          phase: "recommendation",
-          projectInformation: projectInfo,
-          streaming: true,
-          continuationMode: true,
-          partialResponse,
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`Server responded with status: ${response.status}`);
-      }
-
-      // Start tracking the new stream
-      startStreamTracking({
-        phase: "recommendation",
-        projectInformation: projectInfo,
-      });
-
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let fullContent = "";
-      let streamComplete = false;
-
-      while (true) {
-        const { done, value } = await reader.read();
-
-        if (done) {
-          break;
-        }
-
-        // Process the chunks
-        const chunkText = decoder.decode(value);
-        const chunks = chunkText.split("\n").filter(Boolean);
-
-        for (const chunk of chunks) {
-          try {
-            const data = JSON.parse(chunk);
-
-            if (data.error) {
-              // Handle error
-              setMessages((prev) => {
-                const newMessages = [...prev];
-                // Replace the streaming message with error message
-                if (newMessages[newMessages.length - 1].streaming) {
-                  newMessages.pop(); // Remove streaming placeholder
-                }
-                return [
-                  ...newMessages,
-                  { role: "system", content: data.text, error: true },
-                ];
-              });
-              break;
-            }
-
-            if (!data.done) {
-              // Update the streaming message
-              fullContent += data.chunk;
-              setCurrentStreamingMessage(fullContent);
-              updateResponseContent(data.chunk);
-
-              // Update the last message in the messages array
-              setMessages((prev) => {
-                const newMessages = [...prev];
-                if (newMessages[newMessages.length - 1].streaming) {
-                  newMessages[newMessages.length - 1].content = fullContent;
-                }
-                return newMessages;
-              });
-            } else {
-              // Stream complete
-              streamComplete = true;
-              if (data.text) {
-                fullContent = data.text; // Use the complete text if provided
-              }
-            }
-          } catch (error) {
-            console.error("Error parsing chunk:", error, chunk);
-          }
-        }
-      }
-
-      if (streamComplete) {
-        finishStreamTracking();
-
-        // Remove the streaming flag
-        setMessages((prev) => {
-          const newMessages = [...prev];
-          if (newMessages[newMessages.length - 1].streaming) {
-            newMessages[newMessages.length - 1].streaming = false;
-          }
-          return newMessages;
-        });
+      ];
+    });
+  };
 
-        // Add final message only if this was the complete recommendation
-        // (not needed for continuation chunks)
-        if (!partialResponse) {
-          setMessages((prev) => [
-            ...prev,
-            {
-              role: "system",
-              content:
-                "Thank you for using our DIY Project Tool Advisor! We hope this helps with your project.",
-            },
-          ]);
-        }
-      }
-    } catch (error) {
-      console.error("Error in continuation request:", error);
-      setMessages((prev) => {
-        const newMessages = [...prev];
-        // If there's a streaming message, remove it
-        if (
-          newMessages.length > 0 &&
-          newMessages[newMessages.length - 1].streaming
-        ) {
-          newMessages.pop();
-        }
-        return [
-          ...newMessages,
-          {
-            role: "system",
-            content:
-              "Sorry, there was an error continuing the response: " +
-              error.message,
-            error: true,
-          },
-        ];
-      });
-    } finally {
-      setIsLoading(false);
-      setCurrentStreamingMessage("");
+  // Run the action offered with an error message, removing the message
+  const handleErrorAction = (index, message) => {
+    if (message.action === "restart") {
+      handleResetProject();
+      return;
     }
+    setMessages((prev) => prev.filter((_, i) => i !== index));
+    message.retry?.();
   };
 
   // Use useCallback to memoize the handleSendMessage function
   const handleSendMessage = useCallback(
-    async (userMessage) => {
+    async (userMessage, resending = false) => {
       const messageToSend = userMessage || input;
 
       if (!messageToSend || !messageToSend.trim()) {
         return;
       }
 
-      // Add user message to chat
-      setMessages((prev) => [
-        ...prev,
-        { role: "user", content: messageToSend },
-      ]);
+      // Add user message to chat, unless it is already there from a failed attempt
+      if (!resending) {
+        setMessages((prev) => [
+          ...prev,
+          { role: "user", content: messageToSend },
+        ]);
+      }
       setIsLoading(true);
       setInput("");
 
@@ -497,11 +370,7 @@ export default function ToolHireChatbot() {
       try {
         if (streamingEnabled) {
           // Start tracking this stream for timeout detection
-          startStreamTracking({
-            phase,
-            userInput: messageToSend,
-            projectInformation,
-          });
+          startStreamTracking();
 
           // Streaming implementation
           const response = await fetch("/api/tool-recommendation", {
@@ -510,77 +379,19 @@ export default function ToolHireChatbot() {
               "Content-Type": "application/json",
             },
             body: JSON.stringify({
+              sessionId: sessionIdRef.current,
+              message: messageToSend,
               phase,
-              userInput: messageToSend,
-              conversationHistory,
-              projectInformation,
               streaming: true, // Request streaming response
             }),
           });
 
           if (!response.ok) {
-            throw new Error(`Server responded with status: ${response.status}`);
+            throw await responseError(response);
           }
+          rememberSession(response);
 
-          const reader = response.body.getReader();
-          const decoder = new TextDecoder();
-          let fullContent = "";
-          let completeData = null;
-
-          while (true) {
-            const { done, value } = await reader.read();
-
-            if (done) {
-              break;
-            }
-
-            // Process the chunks - each chunk is a JSON string followed by newline
-            const chunkText = decoder.decode(value);
-            const chunks = chunkText.split("\n").filter(Boolean);
-
-            for (const chunk of chunks) {
-              try {
-                const data = JSON.parse(chunk);
-
-                if (data.error) {
-                  // Handle error
-                  setMessages((prev) => {
-                    const newMessages = [...prev];
-                    // Replace the streaming message with error message
-                    if (newMessages[newMessages.length - 1].streaming) {
-                      newMessages.pop(); // Remove streaming placeholder
-                    }
-                    return [
-                      ...newMessages,
-                      { role: "system", content: data.text, error: true },
-                    ];
-                  });
-                  break;
-                }
-
-                if (!data.done) {
-                  // Update the streaming message
-                  fullContent += data.chunk;
-                  setCurrentStreamingMessage(fullContent);
-                  updateResponseContent(data.chunk);
-
-                  // Update the last message in the messages array
-                  setMessages((prev) => {
-                    const newMessages = [...prev];
-                    if (newMessages[newMessages.length - 1].streaming) {
-                      newMessages[newMessages.length - 1].content = fullContent;
-                    }
-                    return newMessages;
-                  });
-                } else {
-                  // Stream complete, store the final data
-                  completeData = data;
-                }
-              } catch (error) {
-                console.error("Error parsing chunk:", error, chunk);
-              }
-            }
-          }
+          const completeData = await readReply(response);
 
           // Stream is complete, update with final data
           if (completeData) {
@@ -595,15 +406,8 @@ export default function ToolHireChatbot() {
               return newMessages;
             });
 
-            // Update conversation history
-            if (completeData.conversationHistory) {
-              setConversationHistory(completeData.conversationHistory);
-            }
-
             // Check if information gathering phase is complete
             if (completeData.isComplete && phase === "gathering") {
-              setProjectInformation(completeData.projectInformation);
-
               // Add transition message
               setMessages((prev) => [
                 ...prev,
@@ -619,7 +423,7 @@ export default function ToolHireChatbot() {
 
               // Automatically trigger the recommendation phase
               setTimeout(() => {
-                handleRecommendationPhase(completeData.projectInformation);
+                handleRecommendationPhase();
               }, 1000);
             }
           }
@@ -631,16 +435,16 @@ export default function ToolHireChatbot() {
               "Content-Type": "application/json",
             },
             body: JSON.stringify({
+              sessionId: sessionIdRef.current,
+              message: messageToSend,
               phase,
-              userInput: messageToSend,
-              conversationHistory,
-              projectInformation,
             }),
           });
 
           if (!response.ok) {
-            throw new Error(`Server responded with status: ${response.status}`);
+            throw await responseError(response);
           }
+          rememberSession(response);
 
           const data = await response.json();
 
@@ -656,14 +460,9 @@ export default function ToolHireChatbot() {
               { role: "assistant", content: data.text },
             ]);
 
-            // Update conversation history
-            if (data.conversationHistory) {
-              setConversationHistory(data.conversationHistory);
-            }
-
             // Check if information gathering phase is complete
             if (data.isComplete && phase === "gathering") {
-              setProjectInformation(data.projectInformation);
+              setProjectDetails(data.project || null);
 
               // Add transition message
               setMessages((prev) => [
@@ -680,42 +479,28 @@ export default function ToolHireChatbot() {
 
               // Automatically trigger the recommendation phase
               setTimeout(() => {
-                handleRecommendationPhase(data.projectInformation);
+                handleRecommendationPhase();
               }, 1000);
             }
           }
         }
       } catch (error) {
         console.error("Error sending message:", error);
-        setMessages((prev) => {
-          const newMessages = [...prev];
-          // If there's a streaming message, remove it
-          if (
-            newMessages.length > 0 &&
-            newMessages[newMessages.length - 1].streaming
-          ) {
-            newMessages.pop();
-          }
-          return [
-            ...newMessages,
-            {
-              role: "system",
-              content:
-                "Sorry, there was an error processing your request: " +
-                error.message,
-              error: true,
-            },
-          ];
-        });
+        finishStreamTracking();
+        showError(
+          error,
+          "Sorry, there was an error processing your request: ",
+          () => handleSendMessage(messageToSend, true)
+        );
       } finally {
         setIsLoading(false);
         setCurrentStreamingMessage("");
       }
     },
-    [input, phase, conversationHistory, projectInformation, streamingEnabled]
+    [input, phase, streamingEnabled]
   );
 
-  const handleRecommendationPhase = async (projectInfo) => {
+  const handleRecommendationPhase = async () => {
     setIsLoading(true);
 
     // Add an empty assistant message for streaming if streaming is enabled
@@ -730,10 +515,7 @@ export default function ToolHireChatbot() {
     try {
       if (streamingEnabled) {
         // Start tracking this stream for timeout detection
-        startStreamTracking({
-          phase: "recommendation",
-          projectInformation: projectInfo,
-        });
+        startStreamTracking();
 
         // Streaming implementation for recommendation phase
         const response = await fetch("/api/tool-recommendation", {
@@ -742,80 +524,26 @@ export default function ToolHireChatbot() {
             "Content-Type": "application/json",
           },
           body: JSON.stringify({
+            sessionId: sessionIdRef.current,
             phase: "recommendation",
-            projectInformation: projectInfo,
             streaming: true,
           }),
         });
 
         if (!response.ok) {
-          throw new Error(`Server responded with status: ${response.status}`);
+          throw await responseError(response);
         }
+        rememberSession(response);
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let fullContent = "";
-        let streamComplete = false;
+        const completeData = await readReply(response);
 
-        while (true) {
-          const { done, value } = await reader.read();
-
-          if (done) {
-            break;
+        if (completeData) {
+          if (completeData.safety) {
+            setSafetyChecklist(completeData.safety);
           }
-
-          // Process the chunks
-          const chunkText = decoder.decode(value);
-          const chunks = chunkText.split("\n").filter(Boolean);
-
-          for (const chunk of chunks) {
-            try {
-              const data = JSON.parse(chunk);
-
-              if (data.error) {
-                // Handle error
-                setMessages((prev) => {
-                  const newMessages = [...prev];
-                  // Replace the streaming message with error message
-                  if (newMessages[newMessages.length - 1].streaming) {
-                    newMessages.pop(); // Remove streaming placeholder
-                  }
-                  return [
-                    ...newMessages,
-                    { role: "system", content: data.text, error: true },
-                  ];
-                });
-                break;
-              }
-
-              if (!data.done) {
-                // Update the streaming message
-                fullContent += data.chunk;
-                setCurrentStreamingMessage(fullContent);
-                updateResponseContent(data.chunk);
-
-                // Update the last message in the messages array
-                setMessages((prev) => {
-                  const newMessages = [...prev];
-                  if (newMessages[newMessages.length - 1].streaming) {
-                    newMessages[newMessages.length - 1].content = fullContent;
-                  }
-                  return newMessages;
-                });
-              } else {
-                // Stream complete
-                streamComplete = true;
-                if (data.text) {
-                  fullContent = data.text; // Use the complete text if provided
-                }
-              }
-            } catch (error) {
-              console.error("Error parsing chunk:", error, chunk);
-            }
+          if (completeData.tools) {
+            setRecommendedTools(completeData.tools);
           }
-        }
-
-        if (streamComplete) {
           finishStreamTracking();
 
           // Remove the streaming flag
@@ -845,14 +573,15 @@ export default function ToolHireChatbot() {
             "Content-Type": "application/json",
           },
           body: JSON.stringify({
+            sessionId: sessionIdRef.current,
             phase: "recommendation",
-            projectInformation: projectInfo,
           }),
         });
 
         if (!response.ok) {
-          throw new Error(`Server responded with status: ${response.status}`);
+          throw await responseError(response);
         }
+        rememberSession(response);
 
         const data = await response.json();
 
@@ -860,6 +589,12 @@ export default function ToolHireChatbot() {
           ...prev,
           { role: "assistant", content: data.text },
         ]);
+        if (data.safety) {
+          setSafetyChecklist(data.safety);
+        }
+        if (data.tools) {
+          setRecommendedTools(data.tools);
+        }
 
         // Add final message
         setMessages((prev) => [
@@ -873,26 +608,12 @@ export default function ToolHireChatbot() {
       }
     } catch (error) {
       console.error("Error getting recommendations:", error);
-      setMessages((prev) => {
-        const newMessages = [...prev];
-        // If there's a streaming message, remove it
-        if (
-          newMessages.length > 0 &&
-          newMessages[newMessages.length - 1].streaming
-        ) {
-          newMessages.pop();
-        }
-        return [
-          ...newMessages,
-          {
-            role: "system",
-            content:
-              "Sorry, there was an error generating recommendations: " +
-              error.message,
-            error: true,
-          },
-        ];
-      });
+      finishStreamTracking();
+      showError(
+        error,
+        "Sorry, there was an error generating recommendations: ",
+        handleRecommendationPhase
+      );
     } finally {
       setIsLoading(false);
       setCurrentStreamingMessage("");
@@ -918,12 +639,7 @@ export default function ToolHireChatbot() {
       }
 
       // Start tracking this stream for timeout detection
-      startStreamTracking({
-        phase,
-        userInput: "",
-        projectInformation,
-        isInitialMessage: true,
-      });
+      startStreamTracking();
 
       // Make direct API call for initial message
       fetch("/api/tool-recommendation", {
@@ -932,82 +648,23 @@ export default function ToolHireChatbot() {
           "Content-Type": "application/json",
         },
         body: JSON.stringify({
-          phase,
-          userInput: "", // Empty string since we're not sending a real user message
-          conversationHistory,
-          projectInformation,
+          sessionId: sessionIdRef.current,
+          message: "", // Empty string since we're not sending a real user message
+          phase: "gathering",
           streaming: true,
-          isInitialMessage: true, // Flag to indicate this is just starting the conversation
         }),
       })
-        .then((response) => {
+        .then(async (response) => {
           if (!response.ok) {
-            throw new Error(`Server responded with status: ${response.status}`);
+            throw await responseError(response);
           }
-          return streamingEnabled ? response.body.getReader() : response.json();
+          rememberSession(response);
+          return streamingEnabled ? readReply(response) : response.json();
         })
         .then(async (data) => {
           if (streamingEnabled) {
-            // Handle streaming response
-            const reader = data;
-            const decoder = new TextDecoder();
-            let fullContent = "";
-            let completeData = null;
-
-            while (true) {
-              const { done, value } = await reader.read();
-
-              if (done) {
-                break;
-              }
-
-              // Process the chunks
-              const chunkText = decoder.decode(value);
-              const chunks = chunkText.split("\n").filter(Boolean);
-
-              for (const chunk of chunks) {
-                try {
-                  const data = JSON.parse(chunk);
-
-                  if (data.error) {
-                    // Handle error
-                    setMessages((prev) => {
-                      const newMessages = [...prev];
-                      if (newMessages[newMessages.length - 1].streaming) {
-                        newMessages.pop();
-                      }
-                      return [
-                        ...newMessages,
-                        { role: "system", content: data.text, error: true },
-                      ];
-                    });
-                    break;
-                  }
-
-                  if (!data.done) {
-                    // Update the streaming message
-                    fullContent += data.chunk;
-                    setCurrentStreamingMessage(fullContent);
-                    updateResponseContent(data.chunk);
-
-                    // Update the last message in the messages array
-                    setMessages((prev) => {
-                      const newMessages = [...prev];
-                      if (newMessages[newMessages.length - 1].streaming) {
-                        newMessages[newMessages.length - 1].content =
-                          fullContent;
-                      }
-                      return newMessages;
-                    });
-                  } else {
-                    // Stream complete, store the final data
-                    completeData = data;
-                  }
-                } catch (error) {
-                  console.error("Error parsing chunk:", error, chunk);
-                }
-              }
-            }
+            // The reply has been read into the streaming message
+            const completeData = data;
 
             // Stream is complete, update with final data
             if (completeData) {
@@ -1021,11 +678,6 @@ export default function ToolHireChatbot() {
                 }
                 return newMessages;
               });
-
-              // Update conversation history
-              if (completeData.conversationHistory) {
-                setConversationHistory(completeData.conversationHistory);
-              }
             }
           } else {
             // Non-streaming implementation
@@ -1033,34 +685,16 @@ export default function ToolHireChatbot() {
               ...prev,
               { role: "assistant", content: data.text },
             ]);
-
-            // Update conversation history
-            if (data.conversationHistory) {
-              setConversationHistory(data.conversationHistory);
-            }
           }
         })
         .catch((error) => {
           console.error("Error getting initial response:", error);
-          setMessages((prev) => {
-            const newMessages = [...prev];
-            if (
-              newMessages.length > 0 &&
-              newMessages[newMessages.length - 1].streaming
-            ) {
-              newMessages.pop();
-            }
-            return [
-              ...newMessages,
-              {
-                role: "system",
-                content:
-                  "Sorry, there was an error starting the conversation: " +
-                  error.message,
-                error: true,
-              },
-            ];
-          });
+          // Nothing has happened yet, so trying again starts afresh
+          showError(
+            error,
+            "Sorry, there was an error starting the conversation: ",
+            handleResetProject
+          );
         })
         .finally(() => {
           finishStreamTracking();
@@ -1074,21 +708,55 @@ export default function ToolHireChatbot() {
     return () => {
       clearTimeoutTimer();
     };
-  }, [
-    phase,
-    conversationHistory,
-    projectInformation,
-    streamingEnabled,
-    initialMessageSent,
-  ]);
+  }, [phase, streamingEnabled, initialMessageSent]);
 
   // Scroll to bottom of messages
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [messages, currentStreamingMessage]);
 
+  // Add a tool to the comparison, or take it out again
+  const toggleCompare = (id) =>
+    setCompareIds((prev) =>
+      prev.includes(id)
+        ? prev.filter((item) => item !== id)
+        : prev.length < MAX_COMPARE
+        ? [...prev, id]
+        : prev
+    );
+
+  // Button shown next to each recommended tool to pick it for comparison
+  const compareButton = (tool) => {
+    const picked = compareIds.includes(tool.id);
+    return (
+      <button
+        key={tool.id}
+        onClick={() => toggleCompare(tool.id)}
+        disabled={!picked && compareIds.length >= MAX_COMPARE}
+        className={`text-xs px-2 py-0.5 rounded border ${
+          picked
+            ? "bg-black text-white border-black"
+            : "border-gray-400 hover:bg-gray-100 disabled:opacity-50"
+        }`}
+      >
+        {picked ? "✓ Comparing" : "+ Compare"}
+      </button>
+    );
+  };
+
   // Custom components for ReactMarkdown
   const markdownComponents = {
+    // Add a compare button after links to recommended tools
+    a: ({ node, href, ...props }) => {
+      const tool = recommendedTools.find((item) => item.url === href);
+      return (
+        <>
+          <a href={href} {...props} />
+          {tool && <> {compareButton(tool)}</>}
+        </>
+      );
+    },
+
     // Style headers
     h1: ({ node, ...props }) => (
       <h1 className="text-xl font-bold my-3" {...props} />
@@ -1201,9 +869,46 @@ export default function ToolHireChatbot() {
                   </p>
                 ))
               )}
+              {message.action && (
+                <button
+                  onClick={() => handleErrorAction(index, message)}
+                  disabled={isLoading}
+                  className="mt-2 bg-black text-white px-3 py-1 rounded text-sm disabled:bg-[#e26e2a]"
+                >
+                  {message.action === "retry"
+                    ? "Try again"
+                    : "Start a new project"}
+                </button>
+              )}
             </div>
           </div>
         ))}
+        {projectDetails && <ProjectDetails project={projectDetails} />}
+        {safetyChecklist && <SafetyChecklist checklist={safetyChecklist} />}
+        {recommendedTools.length >= 2 && (
+          <div className="mb-4 rounded-lg border border-gray-300 bg-white p-4 text-gray-800">
+            <h2 className="text-lg font-bold mb-2">Compare Tools</h2>
+            <p className="text-sm text-gray-600 mb-2">
+              Pick 2 to {MAX_COMPARE} tools to see their specifications, prices
+              and safety needs side by side.
+            </p>
+            <div className="flex flex-wrap items-center gap-2">
+              {recommendedTools.map((tool) => (
+                <span key={tool.id} className="flex items-center gap-1">
+                  <span className="text-sm">{tool.productName}</span>
+                  {compareButton(tool)}
+                </span>
+              ))}
+            </div>
+            <button
+              onClick={() => setShowComparison(true)}
+              disabled={compareIds.length < 2}
+              className="mt-3 bg-black text-white px-4 py-2 rounded disabled:bg-[#e26e2a]"
+            >
+              Compare ({compareIds.length})
+            </button>
+          </div>
+        )}
         <div ref={messagesEndRef} />
       </div>
 
@@ -1227,6 +932,13 @@ export default function ToolHireChatbot() {
           </button>
         </div>
       </div>
+
+      {showComparison && (
+        <ToolComparison
+          ids={compareIds}
+          onClose={() => setShowComparison(false)}
+        />
+      )}
     </div>
   );
 }
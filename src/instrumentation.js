@@ -0,0 +1,10 @@
+/**
+ * Check configuration when the server starts, so a deployment that cannot
+ * apply its rate limits fails to start instead of failing every request
+ */
+export async function register() {
+  if (process.env.NEXT_RUNTIME === "nodejs") {
+    const { checkAddressSource } = await import("@/lib/rateLimit");
+    checkAddressSource();
+  }
+}
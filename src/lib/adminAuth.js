@@ -0,0 +1,35 @@
+// File: lib/adminAuth.js
+import { createHash, timingSafeEqual } from "crypto";
+
+/**
+ * Check the staff token on an admin API request. Admin routes are disabled
+ * unless ADMIN_TOKEN is set.
+ * @param {Request} request - The incoming request
+ * @returns {Response|null} - An error response, or null if the request may proceed
+ */
+export function checkAdminToken(request) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return Response.json(
+      {
+        error: true,
+        text: "Catalog editing is disabled. Set ADMIN_TOKEN to enable it.",
+      },
+      { status: 403 }
+    );
+  }
+
+  const header = request.headers.get("authorization") || "";
+  const token = header.replace(/^Bearer\s+/i, "");
+
+  // Compare digests so the check takes the same time for any token
+  const digest = (value) => createHash("sha256").update(value).digest();
+  if (!token || !timingSafeEqual(digest(token), digest(expected))) {
+    return Response.json(
+      { error: true, text: "Invalid admin token." },
+      { status: 401 }
+    );
+  }
+
+  return null;
+}
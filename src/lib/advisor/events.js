@@ -0,0 +1,29 @@
+// File: lib/advisor/events.js
+
+/**
+ * Turn the advisor's events into the events of the reply stream: reply
+ * text as "token" events, then "summary" and "phase_complete" for a
+ * gathering reply or "recommendation" for the recommendation
+ * @param {AsyncIterable<import("./index.js").AdvisorEvent>} events - Events from advise
+ * @returns {AsyncIterable<{event: string, data: Object}>} - Stream events, without ids
+ */
+export async function* toStreamEvents(events) {
+  for await (const { type, text, result } of events) {
+    if (type === "chunk") {
+      yield { event: "token", data: { text } };
+    } else if (type === "done" && result.phase === "complete") {
+      yield { event: "recommendation", data: result };
+    } else if (type === "done") {
+      if (result.isComplete) {
+        yield {
+          event: "summary",
+          data: {
+            projectInformation: result.projectInformation,
+            project: result.project,
+          },
+        };
+      }
+      yield { event: "phase_complete", data: result };
+    }
+  }
+}
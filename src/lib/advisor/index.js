@@ -0,0 +1,596 @@
+// File: lib/advisor/index.js
+import { ERROR_CODES } from "../apiErrors.js";
+import { getCatalog } from "../catalogStore.js";
+import {
+  addDays,
+  checkAvailability,
+  findFreeWindows,
+  formatAvailability,
+  resolveHireStart,
+} from "../inventory.js";
+import { createModel } from "../llm/index.js";
+import { formatQuote, quoteToolSet } from "../pricing.js";
+import { createLinkRewriter } from "../productUrls.js";
+import {
+  hasSummary,
+  parseProjectSummary,
+  worksWeekends,
+} from "../projectSummary.js";
+import { assignPromptVersion } from "../promptTemplates.js";
+import {
+  findCompanions,
+  formatCompanions,
+  getRelationships,
+} from "../relationships.js";
+import { buildSafetyChecklist } from "../safety.js";
+import { saveSession } from "../sessions/index.js";
+import { extractRecommendation } from "../structuredRecommendation.js";
+import { formatTransport, summariseTransport } from "../transport.js";
+import { buildRecommendationPrompt, buildSystemPrompt } from "./prompts.js";
+import {
+  RECOMMENDATION_REFUSAL,
+  SAFE_REFUSAL,
+  checkCustomerMessage,
+  checkRecommendedProducts,
+  delimit,
+  findInjection,
+  logSuspiciousTurn,
+} from "./safeguards.js";
+
+// Most customer messages a gathering conversation can hold. The questions
+// should be answered well before this.
+export const MAX_HISTORY_TURNS = 30;
+
+// Most characters of history sent to the model with a message
+export const MAX_HISTORY_CHARACTERS = 60000;
+
+/**
+ * Error with the HTTP status the API routes should answer with
+ */
+export class AdvisorError extends Error {
+  /**
+   * @param {string} message - What went wrong, shown to the customer
+   * @param {string} [code] - One of ERROR_CODES, which sets the HTTP status
+   */
+  constructor(message, code = "INVALID_REQUEST") {
+    super(message);
+    this.name = "AdvisorError";
+    this.code = code;
+    this.status = ERROR_CODES[code].status;
+  }
+}
+
+/**
+ * @typedef {Object} AdviceOptions
+ * @property {string} [message] - The customer's new message, for the gathering phase
+ * @property {string} [phase] - The phase the client expects; the request is refused if the session is in another
+ * @property {string} [hireStart] - First hire day (YYYY-MM-DD), read from the summary if not given
+ * @property {function(number): void} [onUsage] - Called with the estimated tokens of each model request
+ */
+
+/**
+ * @typedef {Object} AdvisorEvent
+ * @property {string} type - "chunk" for a piece of the reply, "done" for the final state
+ * @property {string} [text] - The piece of reply, for "chunk"
+ * @property {Object} [result] - Reply and session state, for "done"
+ */
+
+/**
+ * Take the next step of a conversation: answer the customer's message while
+ * gathering project information, or give the recommendation once the
+ * summary is written. The session is saved as the conversation moves on.
+ * @param {import("../sessions/index.js").Session} session - The conversation
+ * @param {AdviceOptions} options - The request
+ * @returns {AsyncIterable<AdvisorEvent>} - Reply chunks, then one "done" event
+ * @throws {AdvisorError} - When the session cannot take the request
+ */
+export function advise(session, options = {}) {
+  if (session.phase === "complete") {
+    throw new AdvisorError(
+      "This project already has its recommendation. Please start a new project.",
+      "INVALID_PHASE"
+    );
+  }
+  if (options.phase && options.phase !== session.phase) {
+    throw new AdvisorError(
+      `This conversation is in the ${session.phase} phase, not ${options.phase}.`,
+      "INVALID_PHASE"
+    );
+  }
+  if (session.phase === "gathering") {
+    checkHistory(session.history);
+  }
+  // Sessions from before prompt versions were recorded
+  if (!session.promptVersion) {
+    session.promptVersion = assignPromptVersion(session.id);
+  }
+
+  return session.phase === "gathering"
+    ? gather(session, options.message || "", options.onUsage)
+    : recommend(session, options.hireStart, options.onUsage);
+}
+
+/**
+ * Make sure the history can be sent to the model: every turn has a role and
+ * text, and there is not too much of it
+ * @param {import("../llm/index.js").ChatMessage[]} history - Completed gathering turns
+ * @throws {AdvisorError} - INTERNAL_ERROR for a damaged history, HISTORY_TOO_LONG for a long one
+ */
+function checkHistory(history) {
+  const wellFormed =
+    Array.isArray(history) &&
+    history.every(
+      (turn) =>
+        (turn?.role === "user" || turn?.role === "model") &&
+        typeof turn.parts?.[0]?.text === "string"
+    );
+  if (!wellFormed) {
+    throw new AdvisorError(
+      "This conversation can't be continued. Please start a new project.",
+      "INTERNAL_ERROR"
+    );
+  }
+
+  const turns = history.filter((turn) => turn.role === "user").length;
+  const characters = history.reduce(
+    (total, turn) => total + turn.parts[0].text.length,
+    0
+  );
+  if (turns >= MAX_HISTORY_TURNS || characters > MAX_HISTORY_CHARACTERS) {
+    throw new AdvisorError(
+      "This conversation is too long to continue. Please start a new project with a summary of what you need.",
+      "HISTORY_TOO_LONG"
+    );
+  }
+}
+
+/**
+ * Answer the customer's message in the information gathering phase
+ * @param {import("../sessions/index.js").Session} session - The conversation
+ * @param {string} message - The customer's new message
+ * @param {function(number): void} [onUsage] - Told the tokens the model spends
+ * @returns {AsyncIterable<AdvisorEvent>} - Reply chunks, then the session state
+ */
+async function* gather(session, message, onUsage) {
+  // A message that tries to override the instructions never reaches the
+  // model, and is left out of the history
+  const reasons = checkCustomerMessage(message);
+  if (reasons.length > 0) {
+    logSuspiciousTurn(session.id, "customer message", reasons, message);
+    yield { type: "chunk", text: SAFE_REFUSAL };
+    yield {
+      type: "done",
+      result: { text: SAFE_REFUSAL, refused: true, ...gatheringState(session) },
+    };
+    return;
+  }
+
+  const model = createModel(await buildSystemPrompt(session.promptVersion), {
+    onUsage,
+  });
+
+  // Keep the message until its reply is complete. System instructions are
+  // already in the model configuration.
+  session.pendingInput = message;
+  await saveSession(session);
+  const chat = model.startChat({
+    history: formatChatHistory(session.history),
+  });
+
+  let responseText = "";
+  for await (const chunkText of chat.sendMessageStream(
+    delimit("customer_message", message)
+  )) {
+    responseText += chunkText;
+    yield { type: "chunk", text: chunkText };
+  }
+
+  yield {
+    type: "done",
+    result: {
+      text: responseText,
+      ...(await completeGatheringTurn(session, responseText)),
+    },
+  };
+}
+
+/**
+ * Give the tool recommendation for the project summary in the session,
+ * followed by the companions, quote, transport and availability worked out
+ * from the catalog
+ * @param {import("../sessions/index.js").Session} session - The conversation
+ * @param {string} [hireStart] - First hire day (YYYY-MM-DD), read from the summary if not given
+ * @param {function(number): void} [onUsage] - Told the tokens the model spends
+ * @returns {AsyncIterable<AdvisorEvent>} - Recommendation chunks, then the recommendation
+ */
+async function* recommend(session, hireStart, onUsage) {
+  const { projectInformation } = session;
+
+  let catalog;
+  try {
+    catalog = await getCatalog();
+  } catch (error) {
+    console.error("Error reading information files:", error);
+    throw new AdvisorError(
+      "Unable to access tool information or product URLs. Please try again later.",
+      "CATALOG_UNAVAILABLE"
+    );
+  }
+
+  const project = session.project || parseProjectSummary(projectInformation);
+
+  // The summary is the model's, but written from what the customer said
+  const reasons = findInjection(projectInformation);
+  if (reasons.length > 0) {
+    logSuspiciousTurn(
+      session.id,
+      "project summary",
+      reasons,
+      projectInformation
+    );
+    yield { type: "chunk", text: RECOMMENDATION_REFUSAL };
+    yield {
+      type: "done",
+      result: await refuseRecommendation(session, catalog, project),
+    };
+    return;
+  }
+
+  const model = createModel(
+    await buildSystemPrompt(session.promptVersion, catalog),
+    { onUsage }
+  );
+  const prompt = await buildRecommendationPrompt(
+    session.promptVersion,
+    catalog,
+    projectInformation,
+    project
+  );
+
+  // Product links come from the catalog, not from the model
+  const linkRewriter = createLinkRewriter(catalog);
+  let responseText = "";
+  let heldText = "";
+  let problems = [];
+
+  // Text is sent a line at a time, once everything up to the end of the
+  // line has passed the product checks, so nothing that fails them is
+  // streamed or kept in the job. The first problem stops the model.
+  for await (const chunk of model.generateStream(prompt)) {
+    heldText += linkRewriter.push(chunk);
+    const lineEnd = heldText.lastIndexOf("\n") + 1;
+    if (lineEnd === 0) {
+      continue;
+    }
+    const lines = heldText.slice(0, lineEnd);
+    problems = checkRecommendedProducts(
+      responseText + lines,
+      linkRewriter.getUnknownIds(),
+      catalog
+    );
+    if (problems.length > 0) {
+      break;
+    }
+    responseText += lines;
+    heldText = heldText.slice(lineEnd);
+    yield { type: "chunk", text: lines };
+  }
+
+  // A recommendation naming products outside the catalog is replaced, and
+  // the final text takes the place of what was streamed
+  const flushedText =
+    problems.length > 0 ? heldText : heldText + linkRewriter.flush();
+  if (problems.length === 0) {
+    problems = checkRecommendedProducts(
+      responseText + flushedText,
+      linkRewriter.getUnknownIds(),
+      catalog
+    );
+  }
+  if (problems.length > 0) {
+    logSuspiciousTurn(
+      session.id,
+      "recommendation",
+      problems,
+      responseText + flushedText
+    );
+    yield {
+      type: "done",
+      result: await refuseRecommendation(session, catalog, project),
+    };
+    return;
+  }
+
+  // Release any text held back by the link rewriter, followed by the
+  // companions, hire quote and transport summary computed from the
+  // catalog. Required companions are hired with the tools.
+  const tools = linkRewriter.getTools();
+  const companions = await companionsForTools(
+    catalog,
+    tools,
+    projectInformation
+  );
+  const hiredTools = [...tools, ...companions.required];
+  const quote = quoteRecommendedTools(catalog, hiredTools, project);
+  const transport = transportForTools(catalog, hiredTools);
+  const availability = await availabilityForTools(
+    catalog,
+    hiredTools,
+    hireStart || resolveHireStart(project.hireStart)
+  );
+  const recommendation = await extractRecommendation(
+    createExtractionModel(onUsage),
+    { text: responseText + flushedText, tools },
+    catalog
+  );
+  const remainingText = appendSections(flushedText, [
+    formatCompanions(companions),
+    formatQuote(quote),
+    formatTransport(transport),
+    formatAvailability(availability),
+  ]);
+  if (remainingText) {
+    responseText += remainingText;
+    yield { type: "chunk", text: remainingText };
+  }
+
+  yield {
+    type: "done",
+    result: await completeRecommendation(session, {
+      text: responseText,
+      tools: tools,
+      recommendation: recommendation,
+      companions: companions,
+      quote: quote,
+      safety: safetyForTools(catalog, hiredTools),
+      transport: transport,
+      availability: availability,
+      project: project,
+      catalogVersion: catalog.version,
+    }),
+  };
+}
+
+/**
+ * Record a finished gathering reply in the session, moving on to the
+ * recommendation phase once the reply holds the final summary
+ * @param {Object} session - The conversation
+ * @param {string} reply - The model's complete reply to the pending message
+ * @returns {Promise<Object>} - Session state for the client
+ */
+async function completeGatheringTurn(session, reply) {
+  const isComplete = hasSummary(reply);
+
+  session.history.push(
+    { role: "user", parts: [{ text: session.pendingInput ?? "" }] },
+    { role: "model", parts: [{ text: reply }] }
+  );
+  session.pendingInput = null;
+  if (isComplete) {
+    session.phase = "recommendation";
+    session.projectInformation = reply;
+    session.project = parseProjectSummary(reply);
+  }
+  await saveSession(session);
+
+  return gatheringState(session);
+}
+
+/**
+ * @param {Object} session - The conversation
+ * @returns {Object} - Gathering state for the client
+ */
+function gatheringState(session) {
+  return {
+    sessionId: session.id,
+    phase: session.phase,
+    promptVersion: session.promptVersion,
+    isComplete: session.phase !== "gathering",
+    projectInformation: session.projectInformation,
+    project: session.project,
+  };
+}
+
+/**
+ * Keep the finished recommendation with the conversation, which ends it.
+ * The outcome is saved with the prompt version, so versions can be
+ * compared by how their conversations end.
+ * @param {Object} session - The conversation
+ * @param {Object} recommendation - Recommendation text and everything computed for it
+ * @returns {Promise<Object>} - The recommendation with the session state for the client
+ */
+async function completeRecommendation(session, recommendation) {
+  session.recommendation = recommendation;
+  session.phase = "complete";
+  session.outcome = {
+    result: recommendation.refused ? "refused" : "recommended",
+    promptVersion: session.promptVersion,
+    completedAt: new Date().toISOString(),
+  };
+  await saveSession(session);
+  return {
+    ...recommendation,
+    sessionId: session.id,
+    phase: session.phase,
+    promptVersion: session.promptVersion,
+  };
+}
+
+/**
+ * End the conversation with a refusal in place of the recommendation,
+ * recommending no tools
+ * @param {Object} session - The conversation
+ * @param {Object} catalog - Catalog returned by getCatalog
+ * @param {Object} project - Project details parsed from the summary
+ * @returns {Promise<Object>} - The refusal with the session state for the client
+ */
+async function refuseRecommendation(session, catalog, project) {
+  return completeRecommendation(session, {
+    text: RECOMMENDATION_REFUSAL,
+    tools: [],
+    recommendation: { tools: [], uncertainties: [], safetyNotes: [] },
+    companions: { required: [], recommended: [], consumables: [] },
+    quote: quoteRecommendedTools(catalog, [], project),
+    safety: safetyForTools(catalog, []),
+    transport: transportForTools(catalog, []),
+    availability: [],
+    project: project,
+    catalogVersion: catalog.version,
+    refused: true,
+  });
+}
+
+/**
+ * Convert conversation history to proper format for the chat. Customer
+ * messages are delimited as they were when first sent.
+ * @param {Array} history - The conversation history array
+ * @returns {Array} - Properly formatted history for the API
+ */
+function formatChatHistory(history) {
+  if (!history || history.length === 0) {
+    return [];
+  }
+
+  return history.map((msg) => ({
+    role: msg.role,
+    parts: [
+      {
+        text:
+          msg.role === "user"
+            ? delimit("customer_message", msg.parts[0].text)
+            : msg.parts[0].text,
+      },
+    ],
+  }));
+}
+
+/**
+ * Create the model that restates a recommendation as JSON. Sampling is
+ * turned down so retries converge on the schema rather than wander.
+ * @param {function(number): void} [onUsage] - Told the tokens the model spends
+ * @returns {Object} - Model without system instructions
+ */
+function createExtractionModel(onUsage) {
+  return createModel(undefined, { generation: { temperature: 0 }, onUsage });
+}
+
+/**
+ * Price the tools the model recommended for the hire lengths it gave. A
+ * customer who only works at weekends is always quoted the weekend rate.
+ * @param {Object} catalog - Catalog returned by getCatalog
+ * @param {Array} tools - Tools collected by the link rewriter
+ * @param {Object} project - Project details parsed from the summary
+ * @returns {Object} - Per-tool quotes and the total for the set
+ */
+function quoteRecommendedTools(catalog, tools, project) {
+  try {
+    return quoteToolSet(
+      tools.map((tool) => ({
+        entry: catalog.entriesById[tool.id],
+        days: tool.days,
+        overWeekend: tool.overWeekend || worksWeekends(project),
+      }))
+    );
+  } catch (error) {
+    // A pricing problem should not stop the recommendation
+    console.error("Error quoting recommended tools:", error);
+    return { tools: [], total: 0, unpriced: tools.map((tool) => tool.id) };
+  }
+}
+
+/**
+ * Collect the PPE and safety notes for the tools the model recommended
+ * @param {Object} catalog - Catalog returned by getCatalog
+ * @param {Array} tools - Tools collected by the link rewriter
+ * @returns {Object} - PPE checklist and per-tool safety notes
+ */
+function safetyForTools(catalog, tools) {
+  return buildSafetyChecklist(
+    tools.map((tool) => catalog.entriesById[tool.id])
+  );
+}
+
+/**
+ * Work out the vehicle needed to collect the tools the model recommended
+ * @param {Object} catalog - Catalog returned by getCatalog
+ * @param {Array} tools - Tools collected by the link rewriter
+ * @returns {Object} - Total weight, largest item and vehicle class
+ */
+function transportForTools(catalog, tools) {
+  return summariseTransport(tools.map((tool) => catalog.entriesById[tool.id]));
+}
+
+/**
+ * Find the companions the recommended tools need and the consumables to buy
+ * @param {Object} catalog - Catalog returned by getCatalog
+ * @param {Array} tools - Tools collected by the link rewriter
+ * @param {string} projectInformation - The FINAL SUMMARY text
+ * @returns {Promise<Object>} - Required and recommended companions, and consumables
+ */
+async function companionsForTools(catalog, tools, projectInformation) {
+  try {
+    const relationships = await getRelationships();
+    return findCompanions(catalog, relationships, tools, projectInformation);
+  } catch (error) {
+    // Missing companions should not stop the recommendation
+    console.error("Error finding companions:", error);
+    return { required: [], recommended: [], consumables: [] };
+  }
+}
+
+/**
+ * Check stock for the recommended tools that carry an asset code, and find
+ * other dates for the ones that are booked out
+ * @param {Object} catalog - Catalog returned by getCatalog
+ * @param {Array} tools - Tools collected by the link rewriter
+ * @param {string} hireStart - First hire day, YYYY-MM-DD
+ * @returns {Promise<Array>} - Availability per tracked tool
+ */
+async function availabilityForTools(catalog, tools, hireStart) {
+  const results = [];
+
+  for (const tool of tools) {
+    const { assetCode } = catalog.entriesById[tool.id];
+    if (!assetCode) {
+      continue;
+    }
+
+    const days = Math.max(1, Math.ceil(tool.days || 1));
+    try {
+      const availability = await checkAvailability(
+        assetCode,
+        hireStart,
+        addDays(hireStart, days - 1)
+      );
+      if (!availability.tracked) {
+        continue;
+      }
+      const freeWindows = availability.available
+        ? []
+        : await findFreeWindows(assetCode, days, hireStart);
+
+      results.push({
+        id: tool.id,
+        productName: tool.productName,
+        assetCode,
+        availability,
+        freeWindows,
+      });
+    } catch (error) {
+      // A stock problem should not stop the recommendation
+      console.error(`Error checking availability of ${assetCode}:`, error);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Append generated markdown sections to the recommendation text
+ * @param {string} text - Recommendation text
+ * @param {string[]} sections - Sections to append, empty ones are skipped
+ * @returns {string} - Combined text
+ */
+function appendSections(text, sections) {
+  return [text, ...sections.filter(Boolean)].join("\n\n");
+}
@@ -0,0 +1,111 @@
+// File: lib/advisor/prompts.js
+import { formatCatalog, formatCategories } from "../catalog.js";
+import { getCatalog } from "../catalogStore.js";
+import {
+  NOT_GIVEN,
+  PROJECT_FIELDS,
+  formatProjectDetails,
+  projectSearchText,
+} from "../projectSummary.js";
+import { loadPromptTemplate, renderPrompt } from "../promptTemplates.js";
+import { selectEntries } from "../retrieval.js";
+import { UNTRUSTED_CONTENT_RULES, delimit } from "./safeguards.js";
+
+/**
+ * Fill the information gathering instructions of a prompt version with the
+ * categories in the current catalog, so the questions match what we
+ * actually hire out, followed by the rules for customer content
+ * @param {string} version - The session's prompt version
+ * @param {Object} [catalog] - Catalog returned by getCatalog, loaded if not given
+ * @returns {Promise<string>} - System instructions for the model
+ */
+export async function buildSystemPrompt(version, catalog) {
+  let categories;
+  try {
+    catalog = catalog || (await getCatalog());
+    categories = formatCategories(catalog.entries);
+  } catch (error) {
+    console.error("Error reading information files:", error);
+    categories =
+      "(The category list is unavailable. Ask about the project in general terms.)";
+  }
+
+  const instructions = renderPrompt(
+    await loadPromptTemplate(version, "gathering"),
+    {
+      tool_categories: categories,
+      summary_fields: SUMMARY_FIELDS,
+      not_given: NOT_GIVEN,
+    }
+  );
+  return `${instructions}\n\n${UNTRUSTED_CONTENT_RULES}`;
+}
+
+/**
+ * Fill the recommendation prompt of a prompt version with the summary, the
+ * details read from it and the catalog entries that match the project. The
+ * summary and details are delimited, since they repeat what the customer
+ * said.
+ * @param {string} version - The session's prompt version
+ * @param {Object} catalog - Catalog returned by getCatalog
+ * @param {string} projectInformation - The FINAL SUMMARY text
+ * @param {Object} project - Project details parsed from the summary
+ * @returns {Promise<string>} - Prompt for the model
+ */
+export async function buildRecommendationPrompt(
+  version,
+  catalog,
+  projectInformation,
+  project
+) {
+  return renderPrompt(await loadPromptTemplate(version, "recommendation"), {
+    project_information: delimit("project_summary", projectInformation),
+    project_details: delimit("project_details", formatProjectDetails(project)),
+    not_given: NOT_GIVEN,
+    tool_information: retrieveToolInformation(
+      catalog,
+      projectSearchText(projectInformation, project)
+    ),
+  });
+}
+
+/**
+ * Pick the catalog entries relevant to the project and render them for the prompt
+ * @param {Object} catalog - Catalog returned by getCatalog
+ * @param {string} searchText - The project's search text, from projectSearchText
+ * @returns {string} - Tool information text for the recommendation prompt
+ */
+function retrieveToolInformation(catalog, searchText) {
+  const { entries, selections } = selectEntries(catalog.index, searchText);
+
+  // Log the selection so missing recommendations can be traced back
+  console.log(
+    "Catalog entries selected for recommendation:",
+    selections.map(
+      (selection) => `${selection.id} (${selection.reason}, ${selection.score})`
+    )
+  );
+
+  return formatCatalog(entries);
+}
+
+// What to write on each labelled summary line, given to the gathering
+// template as {summary_fields}
+const SUMMARY_FIELD_HINTS = {
+  projectType: "what the project is, e.g. Laying a patio",
+  dimensions: "sizes with units, e.g. 4 x 3 m, 150 mm deep",
+  materials: "materials, separated by commas",
+  spaceConstraints: "narrow access, low clearance or small work areas",
+  setting: "Residential, Commercial or Industrial",
+  deadline: "the deadline, with the date as YYYY-MM-DD if one was given",
+  hireStart: "YYYY-MM-DD",
+  schedule: "Full-time, Weekends, Evenings or Weekends and evenings",
+  location: "Indoors, Outdoors or Both",
+  terrain: "ground conditions and access for outdoor work",
+  constraints: "noise, power or other restrictions, separated by commas",
+};
+
+// The labelled lines that start the final summary, read by parseProjectSummary
+const SUMMARY_FIELDS = PROJECT_FIELDS.map(
+  ({ key, label }) => `  - ${label}: ${SUMMARY_FIELD_HINTS[key]}`
+).join("\n");
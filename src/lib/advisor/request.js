@@ -0,0 +1,77 @@
+// File: lib/advisor/request.js
+import { PHASES } from "../sessions/index.js";
+import { AdvisorError } from "./index.js";
+
+// Longest message a customer can send in one turn, in characters
+export const MAX_MESSAGE_LENGTH = 4000;
+
+// Fields a request may have. History is kept on the server, so a client
+// sending its own is out of date.
+const FIELDS = ["sessionId", "message", "streaming", "phase", "hireStart"];
+
+/**
+ * @typedef {Object} AdviceRequest
+ * @property {string} [sessionId] - The conversation, or none to start one
+ * @property {string} message - The customer's new message
+ * @property {boolean} streaming - Whether to stream the reply
+ * @property {string} [phase] - The phase the client believes the conversation is in
+ * @property {string} [hireStart] - First hire day (YYYY-MM-DD)
+ */
+
+/**
+ * Check the body of a tool recommendation request
+ * @param {*} body - Parsed JSON body
+ * @returns {AdviceRequest} - The request with defaults filled in
+ * @throws {AdvisorError} - INVALID_REQUEST, MESSAGE_TOO_LONG or INVALID_PHASE
+ */
+export function parseAdviceRequest(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new AdvisorError("The request body must be a JSON object.");
+  }
+
+  const unknown = Object.keys(body).filter((key) => !FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new AdvisorError(`Unknown request fields: ${unknown.join(", ")}.`);
+  }
+
+  const { sessionId, message = "", streaming = false, phase, hireStart } = body;
+
+  if (sessionId !== undefined && typeof sessionId !== "string") {
+    throw new AdvisorError("The session id must be text.");
+  }
+  if (typeof message !== "string") {
+    throw new AdvisorError("The message must be text.");
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    throw new AdvisorError(
+      `Please keep messages under ${MAX_MESSAGE_LENGTH} characters.`,
+      "MESSAGE_TOO_LONG"
+    );
+  }
+  if (typeof streaming !== "boolean") {
+    throw new AdvisorError("streaming must be true or false.");
+  }
+  if (phase !== undefined && !PHASES.includes(phase)) {
+    throw new AdvisorError(
+      `Unknown phase "${phase}". Expected one of: ${PHASES.join(", ")}.`,
+      "INVALID_PHASE"
+    );
+  }
+  if (hireStart !== undefined && !isDate(hireStart)) {
+    throw new AdvisorError("The hire start date must be a YYYY-MM-DD date.");
+  }
+
+  return { sessionId, message, streaming, phase, hireStart };
+}
+
+/**
+ * @param {*} value - A request field
+ * @returns {boolean} - Whether it is a real calendar date written as YYYY-MM-DD
+ */
+function isDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
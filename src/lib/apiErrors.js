@@ -0,0 +1,97 @@
+// File: lib/apiErrors.js
+import { LLMError } from "./llm/errors.js";
+
+/**
+ * Error codes the tool recommendation API answers with, with their HTTP
+ * status and whether sending the same request again may work
+ */
+export const ERROR_CODES = {
+  INVALID_REQUEST: { status: 400, retryable: false },
+  MESSAGE_TOO_LONG: { status: 413, retryable: false },
+  INVALID_PHASE: { status: 409, retryable: false },
+  HISTORY_TOO_LONG: { status: 413, retryable: false },
+  SESSION_NOT_FOUND: { status: 404, retryable: false },
+  REPLY_NOT_FOUND: { status: 404, retryable: false },
+  RATE_LIMITED: { status: 429, retryable: true },
+  TURN_LIMIT_REACHED: { status: 429, retryable: false },
+  TOKEN_BUDGET_EXHAUSTED: { status: 429, retryable: false },
+  CATALOG_UNAVAILABLE: { status: 503, retryable: true },
+  UPSTREAM_TIMEOUT: { status: 504, retryable: true },
+  UPSTREAM_BLOCKED: { status: 422, retryable: false },
+  UPSTREAM_ERROR: { status: 502, retryable: true },
+  INTERNAL_ERROR: { status: 500, retryable: true },
+};
+
+// Codes for each kind of LLMError
+const LLM_ERROR_CODES = {
+  timeout: "UPSTREAM_TIMEOUT",
+  blocked: "UPSTREAM_BLOCKED",
+  upstream: "UPSTREAM_ERROR",
+};
+
+// Shown for failures the customer cannot do anything about. The details
+// stay in the server log.
+const MESSAGES = {
+  UPSTREAM_TIMEOUT: "The advisor took too long to answer. Please try again.",
+  UPSTREAM_BLOCKED:
+    "The advisor couldn't answer that. Please rephrase your message.",
+  UPSTREAM_ERROR: "The advisor is unavailable right now. Please try again.",
+  INTERNAL_ERROR: "Something went wrong on our side. Please try again.",
+};
+
+/**
+ * @typedef {Object} ErrorBody
+ * @property {true} error - Always true, so clients can check one field
+ * @property {string} code - One of ERROR_CODES
+ * @property {string} text - Message for the customer
+ * @property {boolean} retryable - Whether sending the request again may work
+ * @property {number} [retryAfter] - Seconds to wait first, for rate limits
+ */
+
+/**
+ * Describe any error thrown while handling a request. Errors with a `code`
+ * from ERROR_CODES keep their message; model failures and unexpected
+ * errors get a fixed message and are logged.
+ * @param {Error} error - The error
+ * @returns {ErrorBody} - The error envelope
+ */
+export function toErrorBody(error) {
+  let code = error?.code;
+  let text = error?.message;
+
+  if (error instanceof LLMError) {
+    code = LLM_ERROR_CODES[error.kind] || "UPSTREAM_ERROR";
+    console.error("Model request failed:", error);
+    text = MESSAGES[code];
+  } else if (!ERROR_CODES[code]) {
+    code = "INTERNAL_ERROR";
+    console.error("Error processing request:", error);
+    text = MESSAGES[code];
+  }
+
+  return {
+    error: true,
+    code,
+    text,
+    retryable: ERROR_CODES[code].retryable,
+    ...(error?.retryAfter && { retryAfter: error.retryAfter }),
+  };
+}
+
+/**
+ * Answer a request with an error envelope and the code's HTTP status, with
+ * Retry-After for rate limits
+ * @param {Error} error - The error
+ * @param {Object} [headers] - Extra response headers
+ * @returns {Response} - The error response
+ */
+export function errorResponse(error, headers = {}) {
+  const body = toErrorBody(error);
+  return Response.json(body, {
+    status: ERROR_CODES[body.code].status,
+    headers: {
+      ...headers,
+      ...(body.retryAfter && { "Retry-After": String(body.retryAfter) }),
+    },
+  });
+}
@@ -0,0 +1,778 @@
+// File: lib/catalog.js
+
+/**
+ * Hire price tiers offered on every tool, in the order they are quoted
+ * @type {Array<{key: string, label: string, days: number}>}
+ */
+export const PRICE_TIERS = [
+  { key: "day1", label: "1 Day", days: 1 },
+  { key: "day2", label: "2 Days", days: 2 },
+  { key: "day3", label: "3 Days", days: 3 },
+  { key: "week", label: "Week", days: 7 },
+  { key: "weekend", label: "Weekend", days: 2 },
+];
+
+/**
+ * PPE tags used in the "Usage Information" field, with the wording variants
+ * that appear in the catalog
+ */
+export const PPE_TAGS = {
+  "eye-protection": /\beye[-\s]protection\b/i,
+  "face-protection": /\bface[-\s]protection\b/i,
+  "ear-protection": /\bear[-\s]protection\b/i,
+  "dust-mask": /\bdust[-\s]mask\b/i,
+  "safety-boots": /\bsafety[-\s]boots\b/i,
+  "safety-gloves": /\bsafety[-\s]gloves\b/i,
+  "safety-helmet": /\bsafety[-\s]helmet\b/i,
+};
+
+/**
+ * Transport tags, ordered from the smallest vehicle to the largest
+ */
+export const TRANSPORT_TAGS = {
+  car: /\bcar\b/i,
+  "small-van": /\bsmall[-\s]van\b/i,
+  transit: /\btransit\b/i,
+  towing: /\btow(?:ing|ed)?\b/i,
+};
+
+/**
+ * Power types, read from the product name, description and the
+ * specifications that describe the power supply
+ */
+export const POWER_TYPES = {
+  "110v": /\b110\s?v(?:olts?)?\b/i,
+  "240v": /\b2[34]0\s?v(?:olts?)?\b/i,
+  petrol: /\bpetrol\b/i,
+  diesel: /\bdiesel\b/i,
+  cordless: /\bcordless\b|\bbattery[-\s]powered\b/i,
+};
+
+// Specification keys that describe how a tool is powered
+const POWER_SPEC_KEY = /power|volt|supply|motor|engine|fuel|battery|source/i;
+
+/**
+ * @typedef {Object} CatalogEntry
+ * @property {string} id - Stable identifier derived from the product name
+ * @property {string} mainCategory - e.g. "Breaking & Drilling"
+ * @property {string} subcategory - e.g. "Electric Breakers"
+ * @property {string} productName - As written in the "Product Name" field
+ * @property {string} description - Product description, may be empty
+ * @property {string|null} assetCode - Hire asset code, e.g. "TTHAGR"
+ * @property {string} usageInformation - Raw "Usage Information" text
+ * @property {string[]} ppe - PPE tags, e.g. "eye-protection"
+ * @property {string|null} transport - Largest transport tag mentioned
+ * @property {string[]} power - POWER_TYPES keys, e.g. "110v" or "petrol"
+ * @property {Object<string, string>} specs - Keyed technical specifications
+ * @property {string[]} specNotes - Unkeyed technical specification lines
+ * @property {string[]} keyFunctions - Key functions & capabilities
+ * @property {string[]} operatingGuidelines - Operating guidelines
+ * @property {string[]} safetyNotes - Safety considerations
+ * @property {string[]} usageRecommendations - Usage recommendations
+ * @property {Object<string, number>} prices - Price in pounds per PRICE_TIERS key
+ * @property {number} line - 1-based line in the source file where the entry starts
+ * @property {number} endLine - 1-based line in the source file where the entry ends
+ * @property {string} raw - Source text of the entry
+ */
+
+/**
+ * @typedef {Object} CatalogParseError
+ * @property {number} line - 1-based line in the source file
+ * @property {string} message - What went wrong
+ * @property {string} [productName] - Product name, when one could be read
+ */
+
+// Matches a "Product Metadata" heading in its bold or markdown heading form
+const METADATA_HEADING =
+  /^(?:#+\s*)?\*\*(?:\d+\.\s*)?Product Metadata:?\*\*:?\s*$/i;
+
+// Matches a line made only of a bold or markdown heading
+const SECTION_HEADING = /^(?:#+\s+.+|\*\*[^*]+\*\*:?)$/;
+
+/**
+ * Matches the chatty lines the summarising model left between entries,
+ * e.g. "Okay, here's a concise summary..." or "This format will allow the LLM to:"
+ */
+export const PREAMBLE_PATTERN =
+  /^(?:okay\b|ok,|here'?s\b|here is\b|this (?:revised|format|summary|is a template)\b|i(?: can| will| have| understand|'ll|'ve)\b|because the manual\b)/i;
+
+/**
+ * Parse the free-form catalog text into structured entries
+ * @param {string} text - Contents of tool_information.txt
+ * @returns {{entries: CatalogEntry[], errors: CatalogParseError[]}} - Parsed entries and the blocks that failed
+ */
+export function parseCatalog(text) {
+  const entries = [];
+  const errors = [];
+  const usedIds = new Set();
+
+  for (const block of splitBlocks(text)) {
+    let entry;
+    try {
+      entry =
+        block.type === "json"
+          ? parseJsonBlock(block)
+          : parseMarkdownBlock(block);
+    } catch (error) {
+      errors.push({ line: block.line, message: error.message });
+      continue;
+    }
+
+    // JSON blocks without any product metadata are not catalog entries
+    if (!entry) {
+      continue;
+    }
+
+    const missing = ["mainCategory", "subcategory", "productName"].filter(
+      (field) => !entry[field]
+    );
+    if (missing.length > 0) {
+      errors.push({
+        line: entry.line,
+        message: `Missing required field(s): ${missing.join(", ")}`,
+        productName: entry.productName || undefined,
+      });
+      continue;
+    }
+
+    entry.id = uniqueId(slugify(entry.productName), usedIds);
+    entries.push(entry);
+  }
+
+  return { entries, errors };
+}
+
+/**
+ * Describe a parse error in one line for logs and reports
+ * @param {CatalogParseError} error - The parse error
+ * @returns {string} - Human readable description
+ */
+export function formatParseError(error) {
+  const product = error.productName ? ` (${error.productName})` : "";
+  return `tool_information.txt line ${error.line}${product}: ${error.message}`;
+}
+
+/**
+ * Render an entry back into the compact markdown fed to the model
+ * @param {CatalogEntry} entry - The catalog entry
+ * @returns {string} - Markdown summary of the entry
+ */
+export function formatEntry(entry) {
+  const lines = [
+    `## ${entry.productName}`,
+    `- Catalog ID: ${entry.id}`,
+    `- Category: ${entry.mainCategory} > ${entry.subcategory}`,
+  ];
+
+  if (entry.assetCode) {
+    lines.push(`- Asset Code: ${entry.assetCode}`);
+  }
+  if (entry.description) {
+    lines.push(`- Description: ${entry.description}`);
+  }
+  if (entry.ppe.length > 0) {
+    lines.push(`- Required PPE: ${entry.ppe.join(", ")}`);
+  }
+  if (entry.transport) {
+    lines.push(`- Transport: ${entry.transport}`);
+  }
+
+  const specs = [
+    ...Object.entries(entry.specs).map(([key, value]) => `${key}: ${value}`),
+    ...entry.specNotes,
+  ];
+  appendList(lines, "Key Functions & Capabilities", entry.keyFunctions);
+  appendList(lines, "Technical Specifications", specs);
+  appendList(lines, "Operating Guidelines", entry.operatingGuidelines);
+  appendList(lines, "Safety Considerations", entry.safetyNotes);
+  appendList(lines, "Usage Recommendations", entry.usageRecommendations);
+
+  const prices = PRICE_TIERS.filter((tier) => tier.key in entry.prices).map(
+    (tier) => `${tier.label}: £${entry.prices[tier.key].toFixed(2)}`
+  );
+  if (prices.length > 0) {
+    lines.push(`- Prices (ex VAT): ${prices.join(", ")}`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Render an entry in the canonical tool_information.txt format, which
+ * parseCatalog reads back into the same fields
+ * @param {CatalogEntry} entry - The catalog entry
+ * @returns {string} - Markdown block starting with the "Product Metadata" heading
+ */
+export function serializeEntry(entry) {
+  const metadata = [
+    ["Main Category", entry.mainCategory],
+    ["Subcategory", entry.subcategory],
+    ["Product Name", entry.productName],
+    ["Product Description", entry.description],
+    ["Asset Code", entry.assetCode],
+    [
+      "Usage Information",
+      [...entry.ppe, entry.transport].filter(Boolean).join(", "),
+    ],
+    [
+      "Hire Prices (ex VAT)",
+      PRICE_TIERS.filter((tier) => tier.key in entry.prices)
+        .map((tier) => `${tier.label}: £${entry.prices[tier.key].toFixed(2)}`)
+        .join(", "),
+    ],
+  ];
+
+  const blocks = [
+    "**Product Metadata:**",
+    metadata
+      .filter(([, value]) => value)
+      .map(([key, value]) => `*   **${key}:** ${value}`)
+      .join("\n"),
+  ];
+
+  const sections = [
+    ["Key Functions & Capabilities", entry.keyFunctions],
+    [
+      "Technical Specifications",
+      [
+        ...Object.entries(entry.specs).map(
+          ([key, value]) => `**${key}:** ${value}`
+        ),
+        ...entry.specNotes,
+      ],
+    ],
+    ["Operating Guidelines", entry.operatingGuidelines],
+    ["Safety Considerations", entry.safetyNotes],
+    ["Usage Recommendations", entry.usageRecommendations],
+  ];
+  for (const [title, items] of sections) {
+    if (items.length > 0) {
+      blocks.push(
+        `**${title}:**`,
+        items.map((item) => `*   ${item}`).join("\n")
+      );
+    }
+  }
+
+  return blocks.join("\n\n");
+}
+
+/**
+ * Render a list of entries into the text used for {tool_information}
+ * @param {CatalogEntry[]} entries - The catalog entries
+ * @returns {string} - Markdown for all entries
+ */
+export function formatCatalog(entries) {
+  return entries.map(formatEntry).join("\n\n");
+}
+
+/**
+ * List the main categories and subcategories the catalog covers, for the
+ * information gathering prompt
+ * @param {CatalogEntry[]} entries - The catalog entries
+ * @returns {string} - One "### Main Category" heading per category with its subcategories
+ */
+export function formatCategories(entries) {
+  const categories = new Map();
+  for (const entry of entries) {
+    if (!categories.has(entry.mainCategory)) {
+      categories.set(entry.mainCategory, new Set());
+    }
+    categories.get(entry.mainCategory).add(entry.subcategory);
+  }
+
+  return [...categories.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([mainCategory, subcategories]) =>
+      [
+        `### ${mainCategory}`,
+        ...[...subcategories].sort().map((subcategory) => `- ${subcategory}`),
+      ].join("\n")
+    )
+    .join("\n\n");
+}
+
+/**
+ * Turn a product name into a URL-safe identifier
+ * @param {string} value - The text to slugify
+ * @returns {string} - Lowercase, hyphen-separated slug
+ */
+export function slugify(value) {
+  return value
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Split the file into JSON code blocks and markdown entries
+ * @param {string} text - Contents of tool_information.txt
+ * @returns {Array<{type: string, line: number, end: number, lines: string[]}>} - Blocks in file order
+ */
+function splitBlocks(text) {
+  const lines = text.split(/\r?\n/);
+  const blocks = [];
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+
+    if (/^```json\s*$/i.test(trimmed)) {
+      // Collect the whole fenced JSON block
+      const start = i;
+      const body = [];
+      for (i = i + 1; i < lines.length && lines[i].trim() !== "```"; i++) {
+        body.push(lines[i]);
+      }
+      closeBlock(current, lines, start);
+      current = null;
+      blocks.push({
+        type: "json",
+        line: start + 1,
+        end: Math.min(i, lines.length - 1) + 1,
+        lines: body,
+      });
+      continue;
+    }
+
+    if (lines[i] === "{") {
+      // Some JSON entries were pasted without a fence; they end at the
+      // first unindented closing brace
+      const start = i;
+      const body = [lines[i]];
+      for (i = i + 1; i < lines.length; i++) {
+        body.push(lines[i]);
+        if (lines[i] === "}") {
+          break;
+        }
+      }
+      closeBlock(current, lines, start);
+      current = null;
+      blocks.push({
+        type: "json",
+        line: start + 1,
+        end: Math.min(i, lines.length - 1) + 1,
+        lines: body,
+      });
+      continue;
+    }
+
+    if (METADATA_HEADING.test(trimmed)) {
+      closeBlock(current, lines, i);
+      current = { type: "markdown", line: i + 1, end: i + 1, lines: [] };
+      blocks.push(current);
+      continue;
+    }
+
+    // Text fences wrap some markdown entries and carry no content
+    if (current && !trimmed.startsWith("```")) {
+      current.lines.push(lines[i]);
+    }
+  }
+  closeBlock(current, lines, lines.length);
+
+  return blocks;
+}
+
+/**
+ * Set where a markdown block ends: its last line of content before the next
+ * block, leaving out the fences, titles and commentary that lead into it
+ * @param {Object|null} block - Markdown block being collected, if any
+ * @param {string[]} lines - All lines of the file
+ * @param {number} next - 0-based index of the line that starts the next block
+ */
+function closeBlock(block, lines, next) {
+  if (!block) {
+    return;
+  }
+  let last = next - 1;
+  while (last >= block.line) {
+    const trimmed = lines[last].trim();
+    if (
+      trimmed &&
+      !trimmed.startsWith("```") &&
+      !SECTION_HEADING.test(trimmed) &&
+      !PREAMBLE_PATTERN.test(trimmed)
+    ) {
+      break;
+    }
+    last--;
+  }
+  block.end = last + 1;
+}
+
+/**
+ * Parse a markdown entry that follows a "Product Metadata" heading
+ * @param {Object} block - Block produced by splitBlocks
+ * @returns {CatalogEntry} - The parsed entry (without an id)
+ */
+function parseMarkdownBlock(block) {
+  const sections = { metadata: [] };
+  let section = "metadata";
+
+  for (const line of block.lines) {
+    const trimmed = line.trim();
+    if (!trimmed || /^-{3,}$/.test(trimmed)) {
+      continue;
+    }
+
+    // Model commentary ends whatever section it follows
+    if (PREAMBLE_PATTERN.test(trimmed)) {
+      section = null;
+      continue;
+    }
+
+    if (SECTION_HEADING.test(trimmed)) {
+      section = sectionKey(trimmed);
+      if (section && !sections[section]) {
+        sections[section] = [];
+      }
+      continue;
+    }
+
+    if (section) {
+      sections[section].push(trimmed);
+    }
+  }
+
+  const metadata = {};
+  for (const line of sections.metadata) {
+    const pair = splitKeyValue(line);
+    if (pair) {
+      const key = pair.key.toLowerCase();
+      if (!(key in metadata)) {
+        metadata[key] = pair.value;
+      }
+    }
+  }
+
+  const specs = {};
+  const specNotes = [];
+  for (const line of sections.specs || []) {
+    const pair = splitKeyValue(line);
+    if (pair && isSpecKey(pair.key)) {
+      specs[pair.key] = pair.value;
+    } else {
+      specNotes.push(cleanLine(line));
+    }
+  }
+
+  return buildEntry(block, {
+    metadata,
+    specs,
+    specNotes,
+    keyFunctions: (sections.keyFunctions || []).map(cleanLine),
+    operatingGuidelines: (sections.operatingGuidelines || []).map(cleanLine),
+    safetyNotes: (sections.safetyNotes || []).map(cleanLine),
+    usageRecommendations: (sections.usageRecommendations || []).map(cleanLine),
+    usageExtra: (sections.usageInfo || []).join("\n"),
+  });
+}
+
+/**
+ * Parse a fenced JSON entry
+ * @param {Object} block - Block produced by splitBlocks
+ * @returns {CatalogEntry|null} - The parsed entry, or null if the JSON holds no product metadata
+ */
+function parseJsonBlock(block) {
+  let data;
+  try {
+    data = JSON.parse(block.lines.join("\n"));
+  } catch (error) {
+    throw new Error(`Invalid JSON entry: ${error.message}`);
+  }
+
+  // The metadata object is sometimes nested under a wrapper key
+  const container = findMetadataContainer(data);
+  if (!container) {
+    return null;
+  }
+
+  const metadata = {};
+  for (const [key, value] of Object.entries(container["Product Metadata"])) {
+    metadata[key.toLowerCase()] = flattenValue(value).join(" ");
+  }
+
+  const fields = {
+    metadata,
+    specs: {},
+    specNotes: [],
+    keyFunctions: [],
+    operatingGuidelines: [],
+    safetyNotes: [],
+    usageRecommendations: [],
+    usageExtra: "",
+  };
+
+  for (const [key, value] of Object.entries(container)) {
+    const section = sectionKey(key);
+    if (section === "specs") {
+      if (value && typeof value === "object" && !Array.isArray(value)) {
+        for (const [specKey, specValue] of Object.entries(value)) {
+          fields.specs[specKey] = flattenValue(specValue).join(" ");
+        }
+      } else {
+        fields.specNotes.push(...flattenValue(value));
+      }
+    } else if (section === "usageInfo") {
+      fields.usageExtra += flattenValue(value).join("\n");
+    } else if (section && section !== "metadata" && section in fields) {
+      fields[section].push(...flattenValue(value));
+    }
+  }
+
+  return buildEntry(block, fields);
+}
+
+/**
+ * Assemble a CatalogEntry from the fields read out of a block
+ * @param {Object} block - Block produced by splitBlocks
+ * @param {Object} fields - Fields extracted by the markdown or JSON parser
+ * @returns {CatalogEntry} - The entry, without an id
+ */
+function buildEntry(block, fields) {
+  const { metadata } = fields;
+  const raw = block.lines.join("\n");
+  const usageInformation = metadata["usage information"] || "";
+  // "Transportation:" notes sometimes sit under the usage recommendations
+  const usageText = [
+    usageInformation,
+    fields.usageExtra,
+    ...fields.usageRecommendations.filter((line) => /^transport/i.test(line)),
+  ].join("\n");
+
+  return {
+    id: "",
+    mainCategory: metadata["main category"] || "",
+    subcategory: metadata["subcategory"] || "",
+    productName: metadata["product name"] || "",
+    description: metadata["product description"] || "",
+    assetCode: extractAssetCode(raw),
+    usageInformation,
+    ppe: Object.keys(PPE_TAGS).filter((tag) => PPE_TAGS[tag].test(usageText)),
+    transport:
+      Object.keys(TRANSPORT_TAGS)
+        .filter((tag) => TRANSPORT_TAGS[tag].test(usageText))
+        .pop() || null,
+    power: powerTypes(metadata, fields.specs),
+    specs: fields.specs,
+    specNotes: fields.specNotes.filter(Boolean),
+    keyFunctions: fields.keyFunctions.filter(Boolean),
+    operatingGuidelines: fields.operatingGuidelines.filter(Boolean),
+    safetyNotes: fields.safetyNotes.filter(Boolean),
+    usageRecommendations: fields.usageRecommendations.filter(Boolean),
+    prices: extractPrices(raw),
+    line: block.line,
+    endLine: block.end,
+    raw,
+  };
+}
+
+/**
+ * Work out how a tool is powered. Only the power supply specifications are
+ * read, so a 230 V battery charger does not make a cordless tool mains powered.
+ * @param {Object<string, string>} metadata - Lower-cased metadata fields
+ * @param {Object<string, string>} specs - Keyed technical specifications
+ * @returns {string[]} - POWER_TYPES keys
+ */
+function powerTypes(metadata, specs) {
+  const text = [
+    metadata["product name"] || "",
+    metadata["product description"] || "",
+    ...Object.entries(specs)
+      .filter(([key]) => POWER_SPEC_KEY.test(key))
+      .map(([key, value]) => `${key}: ${value}`),
+  ].join("\n");
+  return Object.keys(POWER_TYPES).filter((type) =>
+    POWER_TYPES[type].test(text)
+  );
+}
+
+/**
+ * Map a section heading to the entry field it fills
+ * @param {string} heading - Heading text, with or without markdown markers
+ * @returns {string|null} - Section key, or null for sections we ignore
+ */
+function sectionKey(heading) {
+  const name = heading
+    .replace(/^#+\s*/, "")
+    .replace(/\*\*/g, "")
+    .replace(/\(.*?\)/g, "")
+    .replace(/:\s*$/, "")
+    .replace(/^\d+\.\s*/, "")
+    .trim()
+    .toLowerCase();
+
+  if (name === "product metadata") return "metadata";
+  if (name.startsWith("key functions")) return "keyFunctions";
+  if (/^(technical )?specifications?\b/.test(name)) return "specs";
+  if (name.startsWith("operating guidelines")) return "operatingGuidelines";
+  if (name.startsWith("safety considerations")) return "safetyNotes";
+  if (name.startsWith("usage recommendations")) return "usageRecommendations";
+  if (name.startsWith("usage information") && !name.includes("integration"))
+    return "usageInfo";
+  return null;
+}
+
+/**
+ * Find the object in a parsed JSON entry that holds "Product Metadata"
+ * @param {*} value - Parsed JSON value
+ * @returns {Object|null} - The containing object, if any
+ */
+function findMetadataContainer(value) {
+  if (!value || typeof value !== "object") {
+    return null;
+  }
+  if (
+    value["Product Metadata"] &&
+    typeof value["Product Metadata"] === "object"
+  ) {
+    return value;
+  }
+  for (const child of Object.values(value)) {
+    const found = findMetadataContainer(child);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Flatten a JSON value into display lines
+ * @param {*} value - String, array or object from a JSON entry
+ * @returns {string[]} - One line per leaf value
+ */
+function flattenValue(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(flattenValue);
+  }
+  if (typeof value === "object") {
+    return Object.entries(value).flatMap(([key, child]) =>
+      typeof child === "object" && child !== null
+        ? flattenValue(child).map((line) => `${key} - ${line}`)
+        : [`${key}: ${child}`]
+    );
+  }
+  return [String(value).trim()];
+}
+
+/**
+ * Split a "**Key:** value" bullet into its parts
+ * @param {string} line - A trimmed line
+ * @returns {{key: string, value: string}|null} - The pair, or null if the line is not key/value
+ */
+function splitKeyValue(line) {
+  const match = cleanLine(line).match(/^([^:]{1,60}?):\s*(.*)$/);
+  if (!match) {
+    return null;
+  }
+  return { key: match[1].trim(), value: match[2].trim() };
+}
+
+/**
+ * Decide whether a key/value line is a real specification rather than prose
+ * @param {string} key - The text before the colon
+ * @returns {boolean} - True if the key looks like a specification name
+ */
+function isSpecKey(key) {
+  return key.split(/\s+/).length <= 6 && !/^(note|example)\b/i.test(key);
+}
+
+/**
+ * Strip list markers and bold markup from a line
+ * @param {string} line - A line of markdown
+ * @returns {string} - Plain text
+ */
+function cleanLine(line) {
+  return line
+    .trim()
+    .replace(/^(?:[*-]|\d+\.)\s+/, "")
+    .replace(/\*\*/g, "")
+    .trim();
+}
+
+/**
+ * Find the asset code anywhere in an entry
+ * @param {string} raw - Source text of the entry
+ * @returns {string|null} - The asset code, if present
+ */
+function extractAssetCode(raw) {
+  const match = raw
+    .replace(/[*"]/g, "")
+    .match(/Asset Code\s*:\s*([A-Z0-9][A-Z0-9.]*[A-Z0-9])/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Read tiered hire prices written in any of the catalog's formats, e.g.
+ * "1 Day: £70.00", "1 Day (£30)", "£40/Day" or "\"Week\": \"£320.00\""
+ * @param {string} raw - Source text of the entry
+ * @returns {Object<string, number>} - Price per PRICE_TIERS key
+ */
+export function extractPrices(raw) {
+  const prices = {};
+  const text = raw.replace(/[*"]/g, "");
+  const tierKey = (label) => {
+    const normalised = label.toLowerCase().replace(/\s+/g, " ");
+    if (normalised === "day" || normalised === "1 day") return "day1";
+    if (normalised === "2 days") return "day2";
+    if (normalised === "3 days") return "day3";
+    return normalised;
+  };
+
+  const labelFirst =
+    /\b(1 day|2 days|3 days|weekend|week)\b\s*[:(]?\s*£\s?(\d+(?:\.\d{1,2})?)/gi;
+  const priceFirst =
+    /£\s?(\d+(?:\.\d{1,2})?)\s*\/\s*(2 days|3 days|day|weekend|week)\b/gi;
+
+  for (const match of text.matchAll(labelFirst)) {
+    const key = tierKey(match[1]);
+    if (!(key in prices)) {
+      prices[key] = parseFloat(match[2]);
+    }
+  }
+  for (const match of text.matchAll(priceFirst)) {
+    const key = tierKey(match[2]);
+    if (!(key in prices)) {
+      prices[key] = parseFloat(match[1]);
+    }
+  }
+
+  return prices;
+}
+
+/**
+ * Append a titled bullet list to the formatted lines
+ * @param {string[]} lines - Lines being built
+ * @param {string} title - List title
+ * @param {string[]} items - List items
+ */
+function appendList(lines, title, items) {
+  if (items.length === 0) {
+    return;
+  }
+  lines.push(`- ${title}:`);
+  for (const item of items) {
+    lines.push(`  - ${item}`);
+  }
+}
+
+/**
+ * Make an id unique by suffixing a counter
+ * @param {string} id - Candidate id
+ * @param {Set<string>} usedIds - Ids already taken
+ * @returns {string} - Unique id
+ */
+function uniqueId(id, usedIds) {
+  let candidate = id;
+  for (let n = 2; usedIds.has(candidate); n++) {
+    candidate = `${id}-${n}`;
+  }
+  usedIds.add(candidate);
+  return candidate;
+}
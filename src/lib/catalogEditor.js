@@ -0,0 +1,267 @@
+// File: lib/catalogEditor.js
+import { promises as fs } from "fs";
+import {
+  PPE_TAGS,
+  PRICE_TIERS,
+  parseCatalog,
+  serializeEntry,
+} from "./catalog.js";
+import { matchProductUrls, parseProductUrls } from "./productUrls.js";
+import {
+  CATALOG_FILE,
+  PRODUCT_URLS_FILE,
+  getCatalog,
+  invalidateCatalog,
+  sourcePath,
+} from "./catalogStore.js";
+
+// Fields staff can change from the admin page
+export const EDITABLE_FIELDS = [
+  "description",
+  "specs",
+  "specNotes",
+  "prices",
+  "ppe",
+  "url",
+];
+
+// Tiers every tool must be priced for; weekend hire is optional
+const REQUIRED_TIERS = PRICE_TIERS.filter((tier) => tier.key !== "weekend");
+
+// Saves are queued so two edits cannot overwrite each other's files
+let saveQueue = Promise.resolve();
+
+/**
+ * Error with the HTTP status the admin routes should answer with
+ */
+export class CatalogEditError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {number} status - HTTP status
+   * @param {string[]} [problems] - Validation problems, one per field
+   */
+  constructor(message, status = 400, problems = []) {
+    super(message);
+    this.name = "CatalogEditError";
+    this.status = status;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Apply staff changes to an entry without touching the other fields
+ * @param {import("./catalog.js").CatalogEntry} entry - The current entry
+ * @param {Object} changes - New values for any of EDITABLE_FIELDS
+ * @returns {import("./catalog.js").CatalogEntry} - The updated entry
+ */
+export function applyChanges(entry, changes) {
+  const updated = { ...entry };
+  for (const field of EDITABLE_FIELDS) {
+    if (field !== "url" && field in changes) {
+      updated[field] = changes[field];
+    }
+  }
+
+  // The catalog stores prices to the penny
+  if (updated.prices && typeof updated.prices === "object") {
+    updated.prices = Object.fromEntries(
+      Object.entries(updated.prices).map(([key, price]) => [
+        key,
+        typeof price === "number" ? Math.round(price * 100) / 100 : price,
+      ])
+    );
+  }
+  return updated;
+}
+
+/**
+ * Check an edited entry before it is saved
+ * @param {import("./catalog.js").CatalogEntry} entry - The edited entry
+ * @param {string} url - Product page URL
+ * @returns {string[]} - Problems found; empty when the entry can be saved
+ */
+export function validateEntry(entry, url) {
+  const problems = [];
+
+  if (typeof entry.description !== "string" || !entry.description.trim()) {
+    problems.push("A product description is required.");
+  } else if (/\n/.test(entry.description)) {
+    problems.push("The product description must be a single line.");
+  }
+
+  const prices = entry.prices || {};
+  for (const tier of REQUIRED_TIERS) {
+    if (!(prices[tier.key] > 0)) {
+      problems.push(`A ${tier.label} price is required.`);
+    }
+  }
+  for (const [key, price] of Object.entries(prices)) {
+    if (!PRICE_TIERS.some((tier) => tier.key === key)) {
+      problems.push(`Unknown price tier "${key}".`);
+    } else if (typeof price !== "number" || !(price > 0)) {
+      problems.push(`The ${key} price must be a positive number.`);
+    }
+  }
+
+  if (!Array.isArray(entry.ppe)) {
+    problems.push("PPE tags must be a list.");
+  } else {
+    for (const tag of entry.ppe) {
+      if (!(tag in PPE_TAGS)) {
+        problems.push(`Unknown PPE tag "${tag}".`);
+      }
+    }
+  }
+
+  if (!entry.specs || typeof entry.specs !== "object") {
+    problems.push("Specifications must be a set of name and value pairs.");
+  } else {
+    for (const [key, value] of Object.entries(entry.specs)) {
+      if (!key.trim() || /[:*\n]/.test(key)) {
+        problems.push(`Invalid specification name "${key}".`);
+      }
+      if (typeof value !== "string" || !value.trim() || /\n/.test(value)) {
+        problems.push(`The "${key}" specification needs a one-line value.`);
+      }
+    }
+  }
+  if (
+    !Array.isArray(entry.specNotes) ||
+    entry.specNotes.some((note) => typeof note !== "string" || /\n/.test(note))
+  ) {
+    problems.push("Specification notes must be single lines of text.");
+  }
+
+  if (!isProductUrl(url)) {
+    problems.push("The product URL must be a full http(s) address.");
+  }
+
+  return problems;
+}
+
+/**
+ * Validate and save staff changes to one entry. The entry is rewritten in
+ * the canonical format in tool_information.txt and its product URL row is
+ * updated, or added if it had none.
+ * @param {string} id - Catalog entry id
+ * @param {Object} changes - New values for any of EDITABLE_FIELDS
+ * @param {string} [expectedVersion] - Catalog version the edit was made against
+ * @returns {Promise<{entry: Object, url: string}>} - The saved entry and URL
+ */
+export function saveEntry(id, changes, expectedVersion) {
+  const run = saveQueue.then(() => writeEntry(id, changes, expectedVersion));
+  saveQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Perform one queued save
+ * @param {string} id - Catalog entry id
+ * @param {Object} changes - New values for any of EDITABLE_FIELDS
+ * @param {string} [expectedVersion] - Catalog version the edit was made against
+ * @returns {Promise<{entry: Object, url: string}>} - The saved entry and URL
+ */
+async function writeEntry(id, changes, expectedVersion) {
+  const [catalogText, productUrlsText] = await Promise.all([
+    fs.readFile(sourcePath(CATALOG_FILE), "utf8"),
+    fs.readFile(sourcePath(PRODUCT_URLS_FILE), "utf8"),
+  ]);
+
+  const { entries } = parseCatalog(catalogText);
+  const entry = entries.find((candidate) => candidate.id === id);
+  if (!entry) {
+    throw new CatalogEditError(`No catalog entry with id "${id}".`, 404);
+  }
+
+  const catalog = await getCatalog();
+  if (expectedVersion && catalog.version !== expectedVersion) {
+    throw new CatalogEditError(
+      "The catalog changed since this entry was opened. Reload and try again.",
+      409
+    );
+  }
+
+  const rows = parseProductUrls(productUrlsText);
+  const { matches } = matchProductUrls(entries, rows);
+  const row = matches.find((match) => match.entryId === id)?.row;
+  const url = "url" in changes ? changes.url : row?.url;
+
+  const updated = applyChanges(entry, changes);
+  const problems = validateEntry(updated, url);
+  if (problems.length > 0) {
+    throw new CatalogEditError("The entry is not valid.", 422, problems);
+  }
+
+  // Replace the entry's lines with its canonical form
+  const lines = catalogText.split(/\r?\n/);
+  lines.splice(
+    entry.line - 1,
+    entry.endLine - entry.line + 1,
+    ...serializeEntry(updated).split("\n")
+  );
+  const newCatalogText = lines.join("\n");
+
+  // Make sure the saved text reads back as what staff entered
+  const saved = parseCatalog(newCatalogText).entries.find(
+    (candidate) => candidate.line === entry.line
+  );
+  if (
+    !saved ||
+    saved.productName !== updated.productName ||
+    saved.description !== updated.description.trim() ||
+    PRICE_TIERS.some(
+      (tier) => saved.prices[tier.key] !== updated.prices[tier.key]
+    ) ||
+    [...saved.ppe].sort().join() !== [...updated.ppe].sort().join()
+  ) {
+    throw new CatalogEditError(
+      "The entry could not be saved in the catalog format.",
+      500
+    );
+  }
+
+  const urlLines = productUrlsText.replace(/\n$/, "").split(/\r?\n/);
+  if (row) {
+    urlLines[row.line - 1] = `${row.name.replace(/,/g, "\\,")},${url}`;
+  } else {
+    urlLines.push(`${updated.productName.replace(/,/g, "\\,")},${url}`);
+  }
+
+  await writeAtomically(sourcePath(CATALOG_FILE), newCatalogText);
+  await writeAtomically(
+    sourcePath(PRODUCT_URLS_FILE),
+    urlLines.join("\n") + "\n"
+  );
+  invalidateCatalog();
+
+  return { entry: saved, url };
+}
+
+/**
+ * @param {*} value - Candidate URL
+ * @returns {boolean} - Whether value is an absolute http(s) URL
+ */
+function isProductUrl(value) {
+  if (typeof value !== "string" || /\s|,/.test(value)) {
+    return false;
+  }
+  try {
+    const url = new URL(value);
+    return (
+      (url.protocol === "https:" || url.protocol === "http:") && !!url.host
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Replace a file through a temporary file so readers never see half of it
+ * @param {string} file - Absolute path
+ * @param {string} text - New contents
+ */
+async function writeAtomically(file, text) {
+  const temporary = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temporary, text);
+  await fs.rename(temporary, file);
+}
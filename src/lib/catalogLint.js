@@ -0,0 +1,244 @@
+// File: lib/catalogLint.js
+import { PREAMBLE_PATTERN, PRICE_TIERS, parseCatalog } from "./catalog.js";
+import {
+  matchProductUrls,
+  normaliseName,
+  parseProductUrls,
+} from "./productUrls.js";
+
+/**
+ * Placeholder wording left behind when the summaries were generated
+ * without a manual or specification sheet
+ */
+const PLACEHOLDER_PATTERNS = [
+  /\bN\/A\b/,
+  /currently unavailable/i,
+  /not provided/i,
+  /no description provided/i,
+  /data missing/i,
+  /further detail required/i,
+  /to be (?:populated|updated|added)/i,
+  /replace with actual/i,
+  /\bplaceholder\b/i,
+  /^\W*example:/i,
+  /requires manual\/documentation review/i,
+  /when manuals are available/i,
+  /^none\.?$/i,
+];
+
+// Lines that mention the model or retrieval system the summaries were written for
+const LLM_MENTION = /\b(?:LLM|RAG)\b/;
+
+// Entry fields checked for placeholder text, with their display names
+const TEXT_FIELDS = {
+  description: "description",
+  usageInformation: "usage information",
+  specs: "technical specifications",
+  specNotes: "technical specifications",
+  keyFunctions: "key functions",
+  operatingGuidelines: "operating guidelines",
+  safetyNotes: "safety considerations",
+  usageRecommendations: "usage recommendations",
+};
+
+/**
+ * @typedef {Object} LintIssue
+ * @property {string} severity - "error" or "warning"
+ * @property {string} rule - Short rule name, e.g. "missing-prices"
+ * @property {number} line - 1-based line in the file the issue belongs to
+ * @property {string} file - File the line refers to
+ * @property {string} [productName] - Affected product, if any
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * Check the catalog and product URL files for data-quality problems
+ * @param {string} catalogText - Contents of tool_information.txt
+ * @param {string} productUrlsText - Contents of product_urls.txt
+ * @returns {LintIssue[]} - Issues ordered by file and line
+ */
+export function lintCatalog(catalogText, productUrlsText) {
+  const issues = [];
+  const { entries, errors } = parseCatalog(catalogText);
+
+  const report = (severity, rule, line, message, productName, file) => {
+    issues.push({
+      severity,
+      rule,
+      line,
+      file: file || "tool_information.txt",
+      productName,
+      message,
+    });
+  };
+
+  for (const error of errors) {
+    report(
+      "error",
+      "parse-error",
+      error.line,
+      error.message,
+      error.productName
+    );
+  }
+
+  // Preamble and commentary left between entries by the summarising model
+  catalogText.split(/\r?\n/).forEach((line, index) => {
+    const text = line.replace(/[*#`]/g, "").trim();
+    if (PREAMBLE_PATTERN.test(text) || LLM_MENTION.test(text)) {
+      report(
+        "error",
+        "preamble",
+        index + 1,
+        `Model commentary in catalog text: "${truncate(text)}"`
+      );
+    }
+  });
+
+  const seenNames = new Map();
+  const seenAssetCodes = new Map();
+
+  for (const entry of entries) {
+    const name = entry.productName;
+
+    const nameKey = normaliseName(name);
+    if (seenNames.has(nameKey)) {
+      report(
+        "error",
+        "duplicate-product",
+        entry.line,
+        `Duplicate of the entry at line ${seenNames.get(nameKey)}`,
+        name
+      );
+    } else {
+      seenNames.set(nameKey, entry.line);
+    }
+
+    const missingTiers = PRICE_TIERS.filter(
+      (tier) => !(tier.key in entry.prices)
+    );
+    if (missingTiers.length === PRICE_TIERS.length) {
+      report("error", "missing-prices", entry.line, "No hire prices", name);
+    } else if (missingTiers.length > 0) {
+      report(
+        "warning",
+        "incomplete-prices",
+        entry.line,
+        `No price for ${missingTiers.map((tier) => tier.label).join(", ")}`,
+        name
+      );
+    }
+
+    if (!entry.assetCode) {
+      report(
+        "warning",
+        "missing-asset-code",
+        entry.line,
+        "No asset code",
+        name
+      );
+    } else if (seenAssetCodes.has(entry.assetCode)) {
+      report(
+        "error",
+        "duplicate-asset-code",
+        entry.line,
+        `Asset code ${
+          entry.assetCode
+        } is also used at line ${seenAssetCodes.get(entry.assetCode)}`,
+        name
+      );
+    } else {
+      seenAssetCodes.set(entry.assetCode, entry.line);
+    }
+
+    for (const [field, label] of Object.entries(TEXT_FIELDS)) {
+      const value = entry[field];
+      const texts = Array.isArray(value)
+        ? value
+        : typeof value === "object"
+        ? Object.values(value)
+        : [value];
+      const placeholder = texts.find(isPlaceholder);
+      if (placeholder) {
+        report(
+          "warning",
+          "placeholder",
+          entry.line,
+          `Placeholder text in ${label}: "${truncate(placeholder)}"`,
+          name
+        );
+      }
+    }
+  }
+
+  const { entriesWithoutUrl, rowsWithoutEntry } = matchProductUrls(
+    entries,
+    parseProductUrls(productUrlsText)
+  );
+  for (const entry of entriesWithoutUrl) {
+    report(
+      "error",
+      "missing-url",
+      entry.line,
+      "No matching row in product_urls.txt",
+      entry.productName
+    );
+  }
+  for (const row of rowsWithoutEntry) {
+    report(
+      "warning",
+      "orphan-url",
+      row.line,
+      "No matching entry in tool_information.txt",
+      row.name,
+      "product_urls.txt"
+    );
+  }
+
+  return issues.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+}
+
+/**
+ * Render lint issues as a plain-text report
+ * @param {LintIssue[]} issues - Issues from lintCatalog
+ * @returns {string} - Report text
+ */
+export function formatLintReport(issues) {
+  const lines = issues.map((issue) => {
+    const product = issue.productName ? ` [${issue.productName}]` : "";
+    return `${issue.file}:${issue.line}  ${issue.severity.padEnd(
+      7
+    )} ${issue.rule.padEnd(20)} ${issue.message}${product}`;
+  });
+
+  const errorCount = issues.filter(
+    (issue) => issue.severity === "error"
+  ).length;
+  const warningCount = issues.length - errorCount;
+  lines.push(
+    "",
+    `${errorCount} error${
+      errorCount === 1 ? "" : "s"
+    }, ${warningCount} warning${warningCount === 1 ? "" : "s"}`
+  );
+
+  return lines.join("\n");
+}
+
+/**
+ * Whether a catalog text is placeholder wording rather than real content
+ * @param {string} text - Text from a catalog entry
+ * @returns {boolean} - True if the text matches a placeholder pattern
+ */
+export function isPlaceholder(text) {
+  return PLACEHOLDER_PATTERNS.some((pattern) => pattern.test(text));
+}
+
+/**
+ * Shorten long text for a one-line report
+ * @param {string} text - Text to shorten
+ * @returns {string} - At most 80 characters
+ */
+function truncate(text) {
+  return text.length > 80 ? text.slice(0, 77) + "..." : text;
+}
@@ -0,0 +1,245 @@
+// File: lib/catalogSearch.js
+import { POWER_TYPES, PPE_TAGS, PRICE_TIERS } from "./catalog.js";
+import { searchIndex } from "./retrieval.js";
+import { VEHICLES, summariseTransport } from "./transport.js";
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+// Filters that have facet counts, in the order they are returned
+const FACETS = ["mainCategory", "subcategory", "ppe", "power", "transport"];
+
+// Transport class per entry, worked out once per loaded catalog
+const transportCache = new WeakMap();
+
+/**
+ * @typedef {Object} CatalogQuery
+ * @property {string} [q] - Free text, ranked with the retrieval index
+ * @property {string[]} [mainCategory] - Main categories to include
+ * @property {string[]} [subcategory] - Subcategories to include
+ * @property {string[]} [ppe] - PPE tags the tool must need, all of them
+ * @property {string[]} [power] - POWER_TYPES keys to include
+ * @property {string[]} [transport] - VEHICLES keys to include
+ * @property {number} [maxPrice] - Highest price for the priceTier, in pounds
+ * @property {string} [priceTier="day1"] - PRICE_TIERS key the ceiling applies to
+ * @property {number} [limit] - Page size
+ * @property {number} [offset=0] - Results to skip
+ */
+
+/**
+ * Error for a query the catalog routes cannot answer
+ */
+export class CatalogQueryError extends Error {
+  /**
+   * @param {string} message - What was wrong with the query
+   * @param {number} status - HTTP status
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "CatalogQueryError";
+    this.status = status;
+  }
+}
+
+/**
+ * Read a catalog query from URL search parameters. Every list filter can
+ * be repeated; tag filters also accept comma-separated values, but category
+ * names cannot be split that way because some contain commas.
+ * @param {URLSearchParams} params - Query string
+ * @returns {CatalogQuery} - The validated query
+ */
+export function parseCatalogQuery(params) {
+  const list = (name, separated = true) =>
+    params
+      .getAll(name)
+      .flatMap((value) => (separated ? value.split(",") : [value]))
+      .map((value) => value.trim())
+      .filter(Boolean);
+  const number = (name) => {
+    const value = params.get(name);
+    if (value === null || value.trim() === "") {
+      return undefined;
+    }
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+      throw new CatalogQueryError(`${name} must be a non-negative number.`);
+    }
+    return parsed;
+  };
+  const allowed = (name, values, known) => {
+    const unknown = values.filter((value) => !known.includes(value));
+    if (unknown.length > 0) {
+      throw new CatalogQueryError(
+        `Unknown ${name} "${unknown.join(
+          '", "'
+        )}". Expected one of: ${known.join(", ")}.`
+      );
+    }
+    return values;
+  };
+
+  const priceTier = params.get("priceTier") || "day1";
+  allowed(
+    "priceTier",
+    [priceTier],
+    PRICE_TIERS.map((tier) => tier.key)
+  );
+
+  return {
+    q: (params.get("q") || "").trim(),
+    mainCategory: list("mainCategory", false),
+    subcategory: list("subcategory", false),
+    ppe: allowed("ppe", list("ppe"), Object.keys(PPE_TAGS)),
+    power: allowed(
+      "power",
+      list("power").map((value) => value.toLowerCase()),
+      Object.keys(POWER_TYPES)
+    ),
+    transport: allowed(
+      "transport",
+      list("transport"),
+      VEHICLES.map((vehicle) => vehicle.key)
+    ),
+    maxPrice: number("maxPrice"),
+    priceTier,
+    limit: Math.min(Math.floor(number("limit") ?? DEFAULT_LIMIT), MAX_LIMIT),
+    offset: Math.floor(number("offset") ?? 0),
+  };
+}
+
+/**
+ * Search and filter the catalog. Facet counts for each filter are worked out
+ * with every other filter applied but not that one, so the counts show what
+ * choosing another value would return.
+ * @param {Object} catalog - Loaded catalog from getCatalog
+ * @param {CatalogQuery} query - Search text and filters
+ * @returns {{total: number, results: Object[], facets: Object<string, Object<string, number>>}} - One page of results and the facet counts
+ */
+export function searchCatalog(catalog, query) {
+  const transportById = transportClasses(catalog);
+  const scores = query.q
+    ? new Map(
+        searchIndex(catalog.index, query.q).map(({ entry, score }) => [
+          entry.id,
+          score,
+        ])
+      )
+    : null;
+
+  const candidates = catalog.entries
+    .filter((entry) => !scores || scores.has(entry.id))
+    .filter((entry) => withinPrice(entry, query));
+
+  // Values of each faceted field, as lists so tags and categories match alike
+  const values = (entry, facet) => {
+    if (facet === "transport") {
+      return [transportById.get(entry.id)];
+    }
+    return Array.isArray(entry[facet]) ? entry[facet] : [entry[facet]];
+  };
+  const matches = (entry, facet) => {
+    const wanted = query[facet] || [];
+    if (wanted.length === 0) {
+      return true;
+    }
+    const have = values(entry, facet);
+    // A tool must need every PPE tag asked for; other filters match any value
+    return facet === "ppe"
+      ? wanted.every((value) => have.includes(value))
+      : wanted.some((value) => have.includes(value));
+  };
+
+  const facets = {};
+  for (const facet of FACETS) {
+    const counts = {};
+    for (const entry of candidates) {
+      if (!FACETS.every((other) => other === facet || matches(entry, other))) {
+        continue;
+      }
+      for (const value of values(entry, facet)) {
+        if (value) {
+          counts[value] = (counts[value] || 0) + 1;
+        }
+      }
+    }
+    facets[facet] = counts;
+  }
+
+  const filtered = candidates
+    .filter((entry) => FACETS.every((facet) => matches(entry, facet)))
+    .sort((a, b) =>
+      scores
+        ? scores.get(b.id) - scores.get(a.id)
+        : a.mainCategory.localeCompare(b.mainCategory) ||
+          a.subcategory.localeCompare(b.subcategory) ||
+          a.productName.localeCompare(b.productName)
+    );
+
+  const offset = query.offset || 0;
+  const limit = query.limit ?? DEFAULT_LIMIT;
+
+  return {
+    total: filtered.length,
+    results: filtered.slice(offset, offset + limit).map((entry) => ({
+      ...summariseEntry(catalog, entry),
+      ...(scores && { score: Math.round(scores.get(entry.id) * 100) / 100 }),
+    })),
+    facets,
+  };
+}
+
+/**
+ * The public view of an entry used by the catalog routes
+ * @param {Object} catalog - Loaded catalog from getCatalog
+ * @param {import("./catalog.js").CatalogEntry} entry - Catalog entry
+ * @returns {Object} - Entry fields for listings, with URL and transport class
+ */
+export function summariseEntry(catalog, entry) {
+  return {
+    id: entry.id,
+    productName: entry.productName,
+    mainCategory: entry.mainCategory,
+    subcategory: entry.subcategory,
+    description: entry.description,
+    assetCode: entry.assetCode,
+    ppe: entry.ppe,
+    power: entry.power,
+    transport: transportClasses(catalog).get(entry.id),
+    prices: entry.prices,
+    url: catalog.urlsById[entry.id] || null,
+  };
+}
+
+/**
+ * @param {import("./catalog.js").CatalogEntry} entry - Catalog entry
+ * @param {CatalogQuery} query - Query with an optional price ceiling
+ * @returns {boolean} - Whether the entry is priced at or under the ceiling
+ */
+function withinPrice(entry, query) {
+  if (query.maxPrice === undefined) {
+    return true;
+  }
+  const price = entry.prices[query.priceTier || "day1"];
+  // Tools without a listed price cannot be shown as under a budget
+  return price !== undefined && price <= query.maxPrice;
+}
+
+/**
+ * Smallest vehicle each entry can travel in, using the transport summary
+ * so weight and size count as well as the catalog tag
+ * @param {Object} catalog - Loaded catalog from getCatalog
+ * @returns {Map<string, string|null>} - VEHICLES key by entry id, null if unknown
+ */
+function transportClasses(catalog) {
+  let classes = transportCache.get(catalog);
+  if (!classes) {
+    classes = new Map(
+      catalog.entries.map((entry) => [
+        entry.id,
+        summariseTransport([entry]).items[0].vehicle,
+      ])
+    );
+    transportCache.set(catalog, classes);
+  }
+  return classes;
+}
@@ -0,0 +1,167 @@
+// File: lib/catalogStore.js
+import { promises as fs } from "fs";
+import path from "path";
+import { createHash } from "crypto";
+import { formatParseError, parseCatalog } from "./catalog.js";
+import { matchProductUrls, parseProductUrls } from "./productUrls.js";
+import { buildIndex } from "./retrieval.js";
+
+// Source files, relative to the public directory
+export const CATALOG_FILE = "tool_information.txt";
+export const PRODUCT_URLS_FILE = "product_urls.txt";
+
+/**
+ * @typedef {Object} LoadedCatalog
+ * @property {string} version - Short content hash of both source files
+ * @property {string} loadedAt - ISO timestamp of the load
+ * @property {import("./catalog.js").CatalogEntry[]} entries - Entries that parsed cleanly
+ * @property {Object<string, import("./catalog.js").CatalogEntry>} entriesById - Entries keyed by id
+ * @property {Object<string, string>} urlsById - Resolved product URLs keyed by entry id
+ * @property {import("./retrieval.js").CatalogIndex} index - BM25 search index
+ * @property {import("./catalog.js").CatalogParseError[]} errors - Entries that failed to parse
+ * @property {import("./catalog.js").CatalogEntry[]} entriesWithoutUrl - Entries with no product URL
+ * @property {import("./productUrls.js").ProductUrlRow[]} rowsWithoutEntry - Product URLs with no entry
+ */
+
+// The last load, keyed on the modification times it was read at
+let cached = null;
+let pending = null;
+
+/**
+ * Get the parsed catalog, reloading it only when a source file has changed
+ * on disk since the last load
+ * @returns {Promise<LoadedCatalog>} - The current catalog
+ */
+export async function getCatalog() {
+  const stamp = await readStamp();
+  if (cached && cached.stamp === stamp) {
+    return cached.catalog;
+  }
+
+  // Share one reload between concurrent requests
+  if (!pending || pending.stamp !== stamp) {
+    const load = loadCatalog().then(
+      (catalog) => {
+        cached = { stamp, catalog };
+        return catalog;
+      },
+      (error) => {
+        pending = null;
+        throw error;
+      }
+    );
+    pending = { stamp, load };
+  }
+
+  return pending.load;
+}
+
+/**
+ * Drop the cached catalog so the next call to getCatalog reloads it
+ */
+export function invalidateCatalog() {
+  cached = null;
+  pending = null;
+}
+
+/**
+ * Read, parse and join both source files
+ * @returns {Promise<LoadedCatalog>} - The freshly loaded catalog
+ */
+async function loadCatalog() {
+  const [catalogText, productUrlsText] = await Promise.all([
+    readFromFile(CATALOG_FILE),
+    readFromFile(PRODUCT_URLS_FILE),
+  ]);
+
+  const { entries, errors } = parseCatalog(catalogText);
+
+  // Report broken entries instead of passing them to the model
+  for (const error of errors) {
+    console.warn("Skipping catalog entry:", formatParseError(error));
+  }
+
+  if (entries.length === 0) {
+    throw new Error(`No valid entries found in ${CATALOG_FILE}`);
+  }
+
+  const { urlsById, entriesWithoutUrl, rowsWithoutEntry } = matchProductUrls(
+    entries,
+    parseProductUrls(productUrlsText)
+  );
+
+  if (entriesWithoutUrl.length > 0) {
+    console.warn(
+      "Catalog entries without a product URL:",
+      entriesWithoutUrl.map((entry) => entry.productName)
+    );
+  }
+  if (rowsWithoutEntry.length > 0) {
+    console.warn(
+      "Product URLs without a catalog entry:",
+      rowsWithoutEntry.map((row) => `${row.name} (line ${row.line})`)
+    );
+  }
+
+  const version = createHash("sha256")
+    .update(catalogText)
+    .update("\0")
+    .update(productUrlsText)
+    .digest("hex")
+    .slice(0, 12);
+
+  console.log(`Loaded catalog ${version} with ${entries.length} entries`);
+
+  return {
+    version,
+    loadedAt: new Date().toISOString(),
+    entries,
+    // No prototype, so looking up an id from a request such as
+    // "constructor" finds nothing rather than an inherited property
+    entriesById: Object.assign(
+      Object.create(null),
+      Object.fromEntries(entries.map((entry) => [entry.id, entry]))
+    ),
+    urlsById,
+    index: buildIndex(entries),
+    errors,
+    entriesWithoutUrl,
+    rowsWithoutEntry,
+  };
+}
+
+/**
+ * Combine the modification times of both source files into one cache key
+ * @returns {Promise<string>} - Cache key that changes whenever a file changes
+ */
+async function readStamp() {
+  const stats = await Promise.all(
+    [CATALOG_FILE, PRODUCT_URLS_FILE].map((filename) =>
+      fs.stat(sourcePath(filename))
+    )
+  );
+  return stats.map((stat) => `${stat.mtimeMs}:${stat.size}`).join("|");
+}
+
+/**
+ * Helper function to read content from a file
+ * @param {string} filename - The name of the file
+ * @returns {string} - The file content
+ */
+async function readFromFile(filename) {
+  try {
+    return await fs.readFile(sourcePath(filename), "utf8");
+  } catch (error) {
+    console.error(`Error reading from ${filename}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Resolve a catalog source file in the public directory
+ * @param {string} filename - The name of the file
+ * @returns {string} - Absolute path
+ */
+export function sourcePath(filename) {
+  return path.join(process.cwd(), "public", filename);
+}
@@ -0,0 +1,215 @@
+// File: lib/comparison.js
+import { PRICE_TIERS } from "./catalog.js";
+import { isPlaceholder } from "./catalogLint.js";
+import { PPE_LABELS } from "./safety.js";
+import { VEHICLES, summariseTransport } from "./transport.js";
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+/**
+ * Experience ratings, worded as the recommendation prompt asks the model to
+ * label tools
+ */
+export const EXPERIENCE_LABELS = {
+  easy: "Easy to use",
+  experienced: "Requires experience",
+};
+
+// Catalog wording that says a tool needs a trained or experienced operator
+const EXPERIENCE_PATTERN =
+  /requires? (?:a level of )?(?:skill|experience|training)|\btrained (?:and (?:competent|authori[sz]ed) )?(?:operators?|personnel|users?)|\bcompetent (?:operators?|personnel|persons?)|\bexperienced (?:operators?|users?)|\bwith (?:appropriate |proper )?(?:training and )?experience\b|\bprofessional use (?:only|by)|\bseek proper training|\b(?:cpcs|npors|ipaf|pasma)\b/i;
+
+// Catalog wording that says a tool suits first-time hirers
+const EASY_PATTERN =
+  /\b(?:diy(?:ers)?|homeowners?|novice|beginners?|easy to use|user[-\s]friendly|simple to (?:use|operate))\b/i;
+
+// Main categories that are always operated plant
+const PLANT_CATEGORIES = ["Powered Access"];
+
+// Vehicles that mean the tool is heavy plant rather than a hand tool
+const PLANT_VEHICLES = ["towing", "delivery"];
+
+/**
+ * @typedef {Object} ExperienceRating
+ * @property {string|null} level - EXPERIENCE_LABELS key, or null when the catalog says nothing either way
+ * @property {string} label - Display label
+ * @property {string} reason - What the rating is based on
+ */
+
+/**
+ * @typedef {Object} ComparisonRow
+ * @property {string} label - Row heading
+ * @property {Array<string|null>} values - One value per tool, null if not listed
+ */
+
+/**
+ * @typedef {Object} Comparison
+ * @property {Array<{id: string, productName: string, mainCategory: string, subcategory: string, description: string, url: string|null, experience: ExperienceRating}>} tools - Tools in the order given
+ * @property {Array<{title: string, rows: ComparisonRow[]}>} sections - Rows lined up across the tools
+ */
+
+/**
+ * Rate how much experience a tool needs from what its catalog entry says.
+ * Towed or delivered machines and powered access always need experience;
+ * otherwise the usage, safety and specification text decides.
+ * @param {import("./catalog.js").CatalogEntry} entry - Catalog entry
+ * @returns {ExperienceRating} - The rating and its reason
+ */
+export function experienceRating(entry) {
+  const rating = (level, reason) => ({
+    level,
+    label: level ? EXPERIENCE_LABELS[level] : "Not rated",
+    reason,
+  });
+
+  const text = [
+    entry.usageInformation,
+    entry.description,
+    ...entry.usageRecommendations,
+    ...entry.safetyNotes,
+    ...entry.operatingGuidelines,
+    ...entry.specNotes,
+    ...Object.entries(entry.specs).map(([key, value]) => `${key}: ${value}`),
+  ]
+    .filter((line) => line && !isPlaceholder(line))
+    .join("\n");
+
+  const experience = text.match(EXPERIENCE_PATTERN);
+  if (experience) {
+    return rating("experienced", `The catalog notes "${experience[0]}".`);
+  }
+
+  const vehicle = summariseTransport([entry]).vehicle;
+  if (
+    PLANT_CATEGORIES.includes(entry.mainCategory) ||
+    PLANT_VEHICLES.includes(vehicle)
+  ) {
+    return rating("experienced", "This is operated plant machinery.");
+  }
+
+  const easy = text.match(EASY_PATTERN);
+  if (easy) {
+    return rating("easy", "The catalog lists it as suitable for DIY use.");
+  }
+
+  return rating(null, "Ask our staff whether it suits your experience.");
+}
+
+/**
+ * Line up the catalog details of two to four tools
+ * @param {Object} catalog - Loaded catalog from getCatalog
+ * @param {import("./catalog.js").CatalogEntry[]} entries - Tools to compare
+ * @returns {Comparison} - Tools and the rows to show side by side
+ */
+export function compareEntries(catalog, entries) {
+  const transport = summariseTransport(entries);
+  const ratings = entries.map(experienceRating);
+  const row = (label, values) => ({ label, values });
+
+  const overview = [
+    row(
+      "Experience",
+      ratings.map((rating) => rating.label)
+    ),
+    row(
+      "Power",
+      entries.map((entry) =>
+        entry.power.length > 0 ? entry.power.map(powerLabel).join(", ") : null
+      )
+    ),
+    row(
+      "Weight",
+      transport.items.map((item) =>
+        item.weightKg === null ? null : `${item.weightKg} kg`
+      )
+    ),
+    row(
+      "Vehicle to collect",
+      transport.items.map((item) =>
+        item.vehicle
+          ? VEHICLES.find((vehicle) => vehicle.key === item.vehicle).label
+          : null
+      )
+    ),
+  ];
+
+  const prices = PRICE_TIERS.map((tier) =>
+    row(
+      tier.label,
+      entries.map((entry) =>
+        entry.prices[tier.key] === undefined
+          ? null
+          : `£${entry.prices[tier.key].toFixed(2)}`
+      )
+    )
+  ).filter(hasValue);
+
+  // Only the PPE at least one of the tools needs
+  const ppeTags = Object.keys(PPE_LABELS).filter((tag) =>
+    entries.some((entry) => entry.ppe.includes(tag))
+  );
+  const ppe = ppeTags.map((tag) =>
+    row(
+      PPE_LABELS[tag],
+      entries.map((entry) => (entry.ppe.includes(tag) ? "Required" : null))
+    )
+  );
+
+  // Specification names in the order they first appear
+  const specKeys = [];
+  for (const entry of entries) {
+    for (const key of Object.keys(entry.specs)) {
+      if (!specKeys.includes(key)) {
+        specKeys.push(key);
+      }
+    }
+  }
+  const specs = specKeys
+    .map((key) =>
+      row(
+        key,
+        entries.map((entry) => {
+          const value = entry.specs[key];
+          return value && !isPlaceholder(value) ? value : null;
+        })
+      )
+    )
+    .filter(hasValue);
+
+  return {
+    tools: entries.map((entry, i) => ({
+      id: entry.id,
+      productName: entry.productName,
+      mainCategory: entry.mainCategory,
+      subcategory: entry.subcategory,
+      description: isPlaceholder(entry.description) ? "" : entry.description,
+      url: catalog.urlsById[entry.id] || null,
+      experience: ratings[i],
+    })),
+    sections: [
+      { title: "Overview", rows: overview },
+      { title: "Hire prices (ex VAT)", rows: prices },
+      { title: "PPE", rows: ppe },
+      { title: "Technical specifications", rows: specs },
+    ].filter((section) => section.rows.length > 0),
+  };
+}
+
+/**
+ * @param {ComparisonRow} row - Comparison row
+ * @returns {boolean} - Whether any tool has a value in the row
+ */
+function hasValue(row) {
+  return row.values.some((value) => value !== null);
+}
+
+/**
+ * @param {string} type - POWER_TYPES key from the catalog
+ * @returns {string} - e.g. "110V" or "Petrol"
+ */
+function powerLabel(type) {
+  return /^\d/.test(type)
+    ? type.toUpperCase()
+    : type.charAt(0).toUpperCase() + type.slice(1);
+}
@@ -0,0 +1,140 @@
+// File: lib/eventStream.js
+
+/**
+ * Event types sent on the tool recommendation stream:
+ * token - a piece of the reply text
+ * summary - the project summary, once the customer has answered enough
+ * phase_complete - the reply to a gathering message is finished
+ * recommendation - the recommendation is finished, with everything computed for it
+ * error - the reply failed
+ * heartbeat - nothing new, sent so idle connections are not closed
+ */
+export const EVENT_TYPES = [
+  "token",
+  "summary",
+  "phase_complete",
+  "recommendation",
+  "error",
+  "heartbeat",
+];
+
+// Events after which nothing more is sent for the reply
+export const FINAL_EVENT_TYPES = ["phase_complete", "recommendation", "error"];
+
+/**
+ * @typedef {Object} StreamEvent
+ * @property {number} [id] - Increasing id, missing on heartbeats
+ * @property {string} event - One of EVENT_TYPES
+ * @property {Object} data - Event payload
+ */
+
+/**
+ * Write an event in the text/event-stream format
+ * @param {StreamEvent} event - The event
+ * @returns {string} - The event, ending with the blank line that dispatches it
+ */
+export function formatEvent({ id, event, data }) {
+  const lines = [];
+  if (id !== undefined) {
+    lines.push(`id: ${id}`);
+  }
+  lines.push(`event: ${event}`);
+  // JSON.stringify never writes a raw line break, so one data line is enough
+  lines.push(`data: ${JSON.stringify(data)}`);
+  return lines.join("\n") + "\n\n";
+}
+
+/**
+ * Create a parser for text/event-stream text that may arrive in pieces of
+ * any size. Lines split across pieces are held back until they are complete.
+ * @param {function(StreamEvent): void} onEvent - Called for each complete event
+ * @returns {{push: function(string): void, end: function(): void}} - Feed text in, then end
+ */
+export function createEventParser(onEvent) {
+  let buffer = "";
+  let fields = { data: [] };
+
+  const dispatch = () => {
+    if (fields.data.length > 0) {
+      let data;
+      try {
+        data = JSON.parse(fields.data.join("\n"));
+      } catch (error) {
+        data = { text: fields.data.join("\n") };
+      }
+      onEvent({
+        id: fields.id !== undefined ? Number(fields.id) : undefined,
+        event: fields.event || "message",
+        data: data,
+      });
+    }
+    fields = { data: [] };
+  };
+
+  const readLine = (line) => {
+    if (line === "") {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(":")) {
+      return; // Comment
+    }
+    const colon = line.indexOf(":");
+    const name = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+    if (name === "data") {
+      fields.data.push(value);
+    } else if (name === "event" || name === "id") {
+      fields[name] = value;
+    }
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      // A "\r" at the end may be the first half of "\r\n", so it waits for
+      // the next piece
+      const end = buffer.endsWith("\r") ? buffer.length - 1 : buffer.length;
+      const lines = buffer.slice(0, end).split(/\r\n|\r|\n/);
+      // The last piece has no line break yet
+      buffer = lines.pop() + buffer.slice(end);
+      lines.forEach(readLine);
+    },
+
+    end() {
+      // An event without its closing blank line was cut off, so it is dropped
+      buffer = "";
+      fields = { data: [] };
+    },
+  };
+}
+
+/**
+ * Read an event stream response body to the end
+ * @param {ReadableStream<Uint8Array>} body - Response body
+ * @param {function(StreamEvent): void} onEvent - Called for each event
+ * @param {AbortSignal} [signal] - Stops reading early, e.g. when the stream stalls
+ * @returns {Promise<void>} - Resolves when the body ends or reading is stopped
+ */
+export async function readEventStream(body, onEvent, signal) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const parser = createEventParser(onEvent);
+  const stop = () => reader.cancel().catch(() => {});
+  signal?.addEventListener("abort", stop);
+
+  try {
+    while (!signal?.aborted) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      // stream: true keeps a character split between reads for the next one
+      parser.push(decoder.decode(value, { stream: true }));
+    }
+  } finally {
+    signal?.removeEventListener("abort", stop);
+  }
+  parser.push(decoder.decode());
+  parser.end();
+}
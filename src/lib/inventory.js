@@ -0,0 +1,444 @@
+// File: lib/inventory.js
+import { promises as fs } from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+
+// Inventory file, relative to the data directory, unless INVENTORY_FILE is set
+export const INVENTORY_FILE = "inventory.json";
+
+// How long a hold keeps units back before it lapses
+export const DEFAULT_HOLD_MINUTES = 30;
+
+// Longest a hold may be asked for, so nobody can keep stock back indefinitely
+export const MAX_HOLD_MINUTES = 120;
+
+// Longest date range that can be checked or held, in days
+export const MAX_RANGE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Error with the HTTP status the API routes should answer with
+ */
+export class InventoryError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {number} status - HTTP status, e.g. 409 when nothing is free
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "InventoryError";
+    this.status = status;
+  }
+}
+
+/**
+ * @typedef {Object} Reservation
+ * @property {string} id - Reservation id
+ * @property {string} assetCode - Asset code, e.g. "TTHAGR"
+ * @property {string} branch - Branch id
+ * @property {string} start - First hire day, YYYY-MM-DD
+ * @property {string} end - Last hire day, YYYY-MM-DD (inclusive)
+ * @property {number} quantity - Units reserved
+ * @property {string} type - "booking" or "hold"
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} expiresAt - ISO timestamp a hold lapses at, null for bookings
+ */
+
+/**
+ * @typedef {Object} Availability
+ * @property {string} assetCode - Asset code checked
+ * @property {string} start - First hire day
+ * @property {string} end - Last hire day
+ * @property {boolean} tracked - Whether the asset is in the inventory at all
+ * @property {boolean} available - Whether some branch has enough free units
+ * @property {Array<{branch: string, name: string, units: number, free: number}>} branches - Free units per branch over the whole window
+ */
+
+// Writes are queued so concurrent holds cannot overwrite each other
+let writeQueue = Promise.resolve();
+
+/**
+ * Check whether an asset can be hired for a date range
+ * @param {string} assetCode - Asset code, e.g. "TTHAGR"
+ * @param {string} start - First hire day, YYYY-MM-DD
+ * @param {string} end - Last hire day, YYYY-MM-DD (inclusive)
+ * @param {Object} [options] - Check options
+ * @param {string} [options.branch] - Only consider this branch
+ * @param {number} [options.quantity=1] - Units needed
+ * @returns {Promise<Availability>} - Free units per branch
+ */
+export async function checkAvailability(assetCode, start, end, options = {}) {
+  validateRange(start, end);
+  validateQuantity(options.quantity ?? 1);
+  const inventory = await readInventory();
+  return availabilityIn(inventory, assetCode, start, end, options);
+}
+
+/**
+ * Find the next date ranges of a given length when an asset is free
+ * @param {string} assetCode - Asset code
+ * @param {number} days - Hire length in days
+ * @param {string} from - Earliest first hire day, YYYY-MM-DD
+ * @param {Object} [options] - Search options
+ * @param {string} [options.branch] - Only consider this branch
+ * @param {number} [options.quantity=1] - Units needed
+ * @param {number} [options.horizonDays=90] - How far ahead to look
+ * @param {number} [options.limit=3] - Maximum number of ranges returned
+ * @returns {Promise<Array<{start: string, end: string, branch: string}>>} - Free ranges, earliest first
+ */
+export async function findFreeWindows(assetCode, days, from, options = {}) {
+  const { horizonDays = 90, limit = 3 } = options;
+  validateRange(from, from);
+  const length = Math.max(1, Math.ceil(days));
+  if (!(length <= MAX_RANGE_DAYS)) {
+    throw new InventoryError(
+      `Date ranges can be at most ${MAX_RANGE_DAYS} days long`
+    );
+  }
+  const inventory = await readInventory();
+  const windows = [];
+
+  let offset = 0;
+  while (offset <= horizonDays && windows.length < limit) {
+    const start = addDays(from, offset);
+    const end = addDays(start, length - 1);
+    const branch = availabilityIn(
+      inventory,
+      assetCode,
+      start,
+      end,
+      options
+    ).branches.find((candidate) => candidate.free >= (options.quantity || 1));
+
+    if (branch) {
+      windows.push({ start, end, branch: branch.branch });
+      // Suggest ranges that do not overlap the one just found
+      offset += length;
+    } else {
+      offset += 1;
+    }
+  }
+
+  return windows;
+}
+
+/**
+ * Hold units of an asset for a date range until the hold expires
+ * @param {string} assetCode - Asset code
+ * @param {Object} request - Hold details
+ * @param {string} request.start - First hire day, YYYY-MM-DD
+ * @param {string} request.end - Last hire day, YYYY-MM-DD (inclusive)
+ * @param {string} [request.branch] - Branch to hold at; the first branch with free units otherwise
+ * @param {number} [request.quantity=1] - Units to hold
+ * @param {number} [request.minutes] - Minutes until the hold lapses, at most MAX_HOLD_MINUTES
+ * @returns {Promise<Reservation>} - The new hold
+ */
+export async function placeHold(assetCode, request) {
+  const {
+    start,
+    end,
+    branch,
+    quantity = 1,
+    minutes = DEFAULT_HOLD_MINUTES,
+  } = request;
+  validateRange(start, end);
+  validateQuantity(quantity);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_HOLD_MINUTES) {
+    throw new InventoryError(
+      `Hold minutes must be a whole number from 1 to ${MAX_HOLD_MINUTES}`
+    );
+  }
+
+  return updateInventory((inventory) => {
+    const availability = availabilityIn(inventory, assetCode, start, end, {
+      branch,
+      quantity,
+    });
+    if (!availability.tracked) {
+      throw new InventoryError(`Unknown asset code ${assetCode}`, 404);
+    }
+
+    const chosen = availability.branches.find(
+      (candidate) => candidate.free >= quantity
+    );
+    if (!chosen) {
+      throw new InventoryError(
+        `Not enough ${assetCode} units free from ${start} to ${end}`,
+        409
+      );
+    }
+
+    const now = new Date();
+    const hold = {
+      id: randomUUID(),
+      assetCode,
+      branch: chosen.branch,
+      start,
+      end,
+      quantity,
+      type: "hold",
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + minutes * 60 * 1000).toISOString(),
+    };
+    inventory.reservations.push(hold);
+    return hold;
+  });
+}
+
+/**
+ * Release a hold before it expires
+ * @param {string} id - Hold id
+ * @returns {Promise<boolean>} - False if there was no such hold
+ */
+export async function releaseHold(id) {
+  return updateInventory((inventory) => {
+    const index = inventory.reservations.findIndex(
+      (reservation) => reservation.id === id && reservation.type === "hold"
+    );
+    if (index === -1) {
+      return false;
+    }
+    inventory.reservations.splice(index, 1);
+    return true;
+  });
+}
+
+/**
+ * Pick the first hire day to check stock from
+ * @param {string|null} hireStart - Hire start date parsed from the project summary, YYYY-MM-DD
+ * @param {Date} [today] - Current date, used when the summary gives none
+ * @returns {string} - YYYY-MM-DD, tomorrow if the summary has no usable date
+ */
+export function resolveHireStart(hireStart, today = new Date()) {
+  const tomorrow = addDays(today.toISOString().slice(0, 10), 1);
+
+  // Past dates are treated as missing rather than checked against old bookings
+  return isDate(hireStart) && hireStart >= tomorrow ? hireStart : tomorrow;
+}
+
+/**
+ * Render availability for the recommended tools as markdown
+ * @param {Array<{productName: string, availability: Availability, freeWindows: Array}>} results - Availability per tracked tool
+ * @returns {string} - Markdown section, or an empty string if no tool is tracked
+ */
+export function formatAvailability(results) {
+  if (results.length === 0) {
+    return "";
+  }
+
+  const lines = ["## Availability", ""];
+  for (const { productName, availability, freeWindows } of results) {
+    const window = `${formatDate(availability.start)} to ${formatDate(
+      availability.end
+    )}`;
+    if (availability.available) {
+      lines.push(`- ${productName}: available ${window}`);
+      continue;
+    }
+
+    const alternatives = freeWindows
+      .map((free) => `${formatDate(free.start)} to ${formatDate(free.end)}`)
+      .join("; ");
+    lines.push(
+      `- ${productName}: **unavailable** ${window}${
+        alternatives
+          ? `. Free ${alternatives}`
+          : ". Please contact us for other dates"
+      }`
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Add days to a date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add, may be negative
+ * @returns {string} - YYYY-MM-DD
+ */
+export function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Free units per branch for a date range, ignoring lapsed holds
+ * @param {Object} inventory - Parsed inventory file
+ * @param {string} assetCode - Asset code
+ * @param {string} start - First hire day
+ * @param {string} end - Last hire day
+ * @param {Object} options - Same options as checkAvailability
+ * @returns {Availability} - Free units per branch
+ */
+function availabilityIn(inventory, assetCode, start, end, options) {
+  const { branch, quantity = 1 } = options;
+  const stock = inventory.stock[assetCode];
+  const now = Date.now();
+
+  const reservations = inventory.reservations.filter(
+    (reservation) =>
+      reservation.assetCode === assetCode &&
+      reservation.start <= end &&
+      reservation.end >= start &&
+      !(reservation.expiresAt && Date.parse(reservation.expiresAt) <= now)
+  );
+
+  const branches = Object.entries(stock || {})
+    .filter(([id]) => !branch || id === branch)
+    .map(([id, units]) => {
+      // Units out on the busiest day of the window
+      let busiest = 0;
+      for (let day = start; day <= end; day = addDays(day, 1)) {
+        const out = reservations
+          .filter(
+            (reservation) =>
+              reservation.branch === id &&
+              reservation.start <= day &&
+              reservation.end >= day
+          )
+          .reduce((sum, reservation) => sum + reservation.quantity, 0);
+        busiest = Math.max(busiest, out);
+      }
+
+      return {
+        branch: id,
+        name: inventory.branches[id]?.name || id,
+        units,
+        free: Math.max(0, units - busiest),
+      };
+    });
+
+  return {
+    assetCode,
+    start,
+    end,
+    tracked: Boolean(stock),
+    available: branches.some((candidate) => candidate.free >= quantity),
+    branches,
+  };
+}
+
+/**
+ * Read the inventory file
+ * @returns {Promise<Object>} - Branches, stock and reservations
+ */
+async function readInventory() {
+  let text;
+  try {
+    text = await fs.readFile(inventoryPath(), "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { branches: {}, stock: {}, reservations: [] };
+    }
+    console.error(`Error reading from ${inventoryPath()}:`, error);
+    throw error;
+  }
+
+  const inventory = JSON.parse(text);
+  return {
+    branches: inventory.branches || {},
+    stock: inventory.stock || {},
+    reservations: inventory.reservations || [],
+  };
+}
+
+/**
+ * Apply a change to the inventory file, one change at a time. Lapsed holds
+ * are dropped on every write.
+ * @param {Function} update - Receives the inventory, mutates it and returns the result
+ * @returns {Promise<*>} - Whatever update returned
+ */
+function updateInventory(update) {
+  const run = writeQueue.then(async () => {
+    const inventory = await readInventory();
+    const result = update(inventory);
+
+    const now = Date.now();
+    inventory.reservations = inventory.reservations.filter(
+      (reservation) =>
+        !(reservation.expiresAt && Date.parse(reservation.expiresAt) <= now)
+    );
+
+    // Write to a temporary file first so a crash never leaves half a file
+    const file = inventoryPath();
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(temporary, JSON.stringify(inventory, null, 2) + "\n");
+    await fs.rename(temporary, file);
+
+    return result;
+  });
+
+  // Keep the queue going after a failed change
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Check a hire date range. Ranges are walked a day at a time, so their
+ * length is capped.
+ * @param {string} start - First hire day
+ * @param {string} end - Last hire day
+ */
+function validateRange(start, end) {
+  if (!isDate(start) || !isDate(end)) {
+    throw new InventoryError("Dates must be given as YYYY-MM-DD");
+  }
+  if (start > end) {
+    throw new InventoryError("The hire cannot end before it starts");
+  }
+  if (end >= addDays(start, MAX_RANGE_DAYS)) {
+    throw new InventoryError(
+      `Date ranges can be at most ${MAX_RANGE_DAYS} days long`
+    );
+  }
+}
+
+/**
+ * Check a number of units
+ * @param {*} quantity - Units asked for
+ */
+function validateQuantity(quantity) {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new InventoryError("Quantity must be a positive whole number");
+  }
+}
+
+/**
+ * @param {string} value - Candidate date
+ * @returns {boolean} - Whether value is a real YYYY-MM-DD date
+ */
+function isDate(value) {
+  return (
+    typeof value === "string" &&
+    DATE_PATTERN.test(value) &&
+    !isNaN(Date.parse(value)) &&
+    new Date(value).toISOString().startsWith(value)
+  );
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} - e.g. "Tue 20 Oct"
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleDateString("en-GB", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Resolve the inventory file
+ * @returns {string} - Absolute path
+ */
+function inventoryPath() {
+  return (
+    process.env.INVENTORY_FILE ||
+    path.join(process.cwd(), "data", INVENTORY_FILE)
+  );
+}
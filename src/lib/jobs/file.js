@@ -0,0 +1,58 @@
+// File: lib/jobs/file.js
+import { promises as fs } from "fs";
+import path from "path";
+
+// Job directory, relative to the data directory, unless JOB_DIR is set
+export const JOB_DIR = "jobs";
+
+/**
+ * Keeps one JSON file per job, so the output of a job survives the
+ * function that ran it and can be read by any instance on the same disk.
+ * JOB_DIR overrides the directory.
+ * @param {Object} env - Configuration
+ * @returns {import("./index.js").JobStore} - The store
+ */
+export function createFileJobStore(env) {
+  const directory = env.JOB_DIR
+    ? path.resolve(env.JOB_DIR)
+    : path.join(process.cwd(), "data", JOB_DIR);
+
+  // Job ids are checked before they reach the store; this keeps a bad id
+  // from ever naming a file outside the directory
+  const jobPath = (id) => {
+    if (!/^[a-z0-9-]+$/i.test(id)) {
+      throw new Error(`Invalid job id: ${id}`);
+    }
+    return path.join(directory, `${id}.json`);
+  };
+
+  return {
+    name: "file",
+
+    async get(id) {
+      try {
+        return JSON.parse(await fs.readFile(jobPath(id), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+        console.error(`Error reading job ${id}:`, error);
+        throw error;
+      }
+    },
+
+    async set(job) {
+      const file = jobPath(job.id);
+      const temporary = `${file}.${process.pid}.tmp`;
+
+      // Write then rename, so a reader never sees half a job
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(temporary, JSON.stringify(job) + "\n");
+      await fs.rename(temporary, file);
+    },
+
+    async delete(id) {
+      await fs.rm(jobPath(id), { force: true });
+    },
+  };
+}
@@ -0,0 +1,272 @@
+// File: lib/jobs/index.js
+import { randomUUID } from "crypto";
+import { ERROR_CODES, toErrorBody } from "../apiErrors.js";
+import { createFileJobStore } from "./file.js";
+import { createMemoryJobStore } from "./memory.js";
+
+/**
+ * Stores that can be chosen with the JOB_STORE environment variable
+ */
+export const JOB_STORES = {
+  memory: createMemoryJobStore,
+  file: createFileJobStore,
+};
+
+export const DEFAULT_JOB_STORE = "memory";
+
+// Finished jobs can be read back for this long
+export const DEFAULT_JOB_TTL_MINUTES = 60;
+
+// Running jobs are saved at most this often, and always when they finish
+export const JOB_SAVE_INTERVAL_MS = 250;
+
+// How often a reader checks the store for a job running in another instance
+export const JOB_POLL_INTERVAL_MS = 500;
+
+// A running job not saved for this long has lost the function running it
+export const JOB_STALE_MS = 30000;
+
+const JOB_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Error with the HTTP status the API routes should answer with
+ */
+export class JobError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {string} [code] - One of ERROR_CODES, which sets the HTTP status
+   */
+  constructor(message, code = "INVALID_REQUEST") {
+    super(message);
+    this.name = "JobError";
+    this.code = code;
+    this.status = ERROR_CODES[code].status;
+  }
+}
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id - Opaque job id given to the client
+ * @property {string} sessionId - The conversation the job replies in
+ * @property {string} status - "running", "done" or "failed"
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp of the last save
+ * @property {import("../eventStream.js").StreamEvent[]} events - Output so far; ids count from 1
+ */
+
+/**
+ * @typedef {Object} JobStore
+ * @property {string} name - JOB_STORES key
+ * @property {function(string): Promise<Job|null>} get - Read a job by id
+ * @property {function(Job): Promise<void>} set - Save a job
+ * @property {function(string): Promise<void>} delete - Remove a job
+ */
+
+// Stores are reused between requests while the configuration is the same
+let cached = null;
+
+// Jobs running in this process, with the readers waiting for their output
+const running = new Map();
+
+/**
+ * Get the store chosen by configuration
+ * @param {Object} [env] - Configuration, process.env by default
+ * @returns {JobStore} - The store
+ */
+export function getJobStore(env = process.env) {
+  const name = (env.JOB_STORE || DEFAULT_JOB_STORE).trim().toLowerCase();
+  if (!JOB_STORES[name]) {
+    throw new Error(
+      `Unknown JOB_STORE "${name}". Expected one of: ${Object.keys(
+        JOB_STORES
+      ).join(", ")}.`
+    );
+  }
+
+  if (!cached || cached.name !== name || cached.env !== env) {
+    cached = { name, env, store: JOB_STORES[name](env) };
+  }
+  return cached.store;
+}
+
+/**
+ * Run a generation as a job. The output is buffered in the store as it is
+ * produced, and the job keeps going if the client disconnects.
+ * @param {string} sessionId - The conversation the job replies in
+ * @param {AsyncIterable<{event: string, data: Object}>} events - The output to record
+ * @returns {Promise<Job>} - The saved job, already running
+ */
+export async function startJob(sessionId, events) {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    sessionId,
+    status: "running",
+    createdAt: now,
+    updatedAt: now,
+    events: [],
+  };
+  await saveJob(job);
+
+  const entry = { job, waiting: new Set() };
+  running.set(job.id, entry);
+  const record = (event) => {
+    job.events.push({ id: job.events.length + 1, ...event });
+    wake(entry);
+  };
+
+  (async () => {
+    let savedAt = Date.now();
+    try {
+      for await (const event of events) {
+        record(event);
+        if (Date.now() - savedAt >= JOB_SAVE_INTERVAL_MS) {
+          await saveJob(job);
+          savedAt = Date.now();
+        }
+      }
+      job.status = "done";
+    } catch (error) {
+      record({ event: "error", data: toErrorBody(error) });
+      job.status = "failed";
+    }
+
+    try {
+      await saveJob(job);
+    } catch (error) {
+      console.error(`Error saving job ${job.id}:`, error);
+    }
+    running.delete(job.id);
+    wake(entry);
+  })();
+
+  return job;
+}
+
+/**
+ * Read a job a client refers to
+ * @param {string} id - Job id from the client
+ * @returns {Promise<Job>} - The job
+ * @throws {JobError} - INVALID_REQUEST for a malformed id, REPLY_NOT_FOUND for an unknown or expired one
+ */
+export async function loadJob(id) {
+  if (typeof id !== "string" || !JOB_ID_PATTERN.test(id)) {
+    throw new JobError("Invalid job id.");
+  }
+
+  const local = running.get(id);
+  if (local) {
+    return local.job;
+  }
+
+  const store = getJobStore();
+  const job = await store.get(id);
+  if (job && isExpired(job)) {
+    await store.delete(id);
+  } else if (job) {
+    return job;
+  }
+  throw new JobError("This reply is no longer available.", "REPLY_NOT_FOUND");
+}
+
+/**
+ * Read a job's output from an offset, waiting for more until the job
+ * finishes. Events up to afterId are skipped, and so is the first `offset`
+ * characters of reply text, so a client that kept either can carry on
+ * without seeing anything twice.
+ * @param {Job} job - The job, from loadJob
+ * @param {Object} [from] - Where to start
+ * @param {number} [from.afterId] - Last event id the client has
+ * @param {number} [from.offset] - Characters of reply text the client has
+ * @returns {AsyncIterable<import("../eventStream.js").StreamEvent>} - The events
+ */
+export async function* followJob(job, { afterId = 0, offset = 0 } = {}) {
+  let index = 0;
+  let characters = 0;
+
+  while (true) {
+    for (; index < job.events.length; index++) {
+      const event = job.events[index];
+      if (event.event === "token") {
+        const start = characters;
+        characters += event.data.text.length;
+        if (event.id <= afterId || characters <= offset) {
+          continue;
+        }
+        if (start < offset) {
+          // The client has the start of this piece already
+          yield {
+            ...event,
+            data: {
+              ...event.data,
+              text: event.data.text.slice(offset - start),
+            },
+          };
+          continue;
+        }
+      } else if (event.id <= afterId) {
+        continue;
+      }
+      yield event;
+    }
+
+    if (job.status !== "running") {
+      return;
+    }
+
+    const local = running.get(job.id);
+    if (local) {
+      job = local.job;
+      await new Promise((resolve) => local.waiting.add(resolve));
+      continue;
+    }
+
+    // Running in another instance, or in one that has gone away
+    if (Date.parse(job.updatedAt) + JOB_STALE_MS < Date.now()) {
+      yield {
+        id: job.events.length + 1,
+        event: "error",
+        data: {
+          ...toErrorBody(new Error("The job stopped updating")),
+          text: "The reply stopped before it finished. Please try again.",
+        },
+      };
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    job = (await getJobStore().get(job.id)) || job;
+  }
+}
+
+/**
+ * Save a job, stamping when it was saved
+ * @param {Job} job - The job
+ */
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await getJobStore().set(job);
+}
+
+/**
+ * Wake the readers waiting for a running job's next event
+ * @param {{job: Job, waiting: Set<function(): void>}} entry - The running job
+ */
+function wake(entry) {
+  const waiting = [...entry.waiting];
+  entry.waiting.clear();
+  waiting.forEach((resolve) => resolve());
+}
+
+/**
+ * @param {Job} job - A stored job
+ * @returns {boolean} - Whether it finished longer ago than JOB_TTL_MINUTES
+ */
+function isExpired(job) {
+  const minutes =
+    parseFloat(process.env.JOB_TTL_MINUTES || "") || DEFAULT_JOB_TTL_MINUTES;
+  return (
+    job.status !== "running" &&
+    Date.parse(job.updatedAt) + minutes * 60 * 1000 < Date.now()
+  );
+}
@@ -0,0 +1,38 @@
+// File: lib/jobs/memory.js
+
+// Jobs kept before the least recently saved ones are dropped
+export const DEFAULT_MAX_JOBS = 1000;
+
+/**
+ * Keeps jobs in this process. A client has to reattach to the instance that
+ * ran its job. JOB_MAX_COUNT caps how many are kept, dropping the least
+ * recently saved first.
+ * @param {Object} env - Configuration
+ * @returns {import("./index.js").JobStore} - The store
+ */
+export function createMemoryJobStore(env) {
+  const maxJobs = parseInt(env.JOB_MAX_COUNT || "", 10) || DEFAULT_MAX_JOBS;
+  const jobs = new Map();
+
+  return {
+    name: "memory",
+
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? structuredClone(job) : null;
+    },
+
+    async set(job) {
+      // Re-inserting keeps the Map in least recently saved order
+      jobs.delete(job.id);
+      jobs.set(job.id, structuredClone(job));
+      while (jobs.size > maxJobs) {
+        jobs.delete(jobs.keys().next().value);
+      }
+    },
+
+    async delete(id) {
+      jobs.delete(id);
+    },
+  };
+}
@@ -0,0 +1,62 @@
+// File: lib/jobs/response.js
+import { formatEvent } from "../eventStream.js";
+import { followJob } from "./index.js";
+
+// Heartbeats keep proxies from closing a stream while the model is thinking,
+// and come often enough that the client does not take a pause for a stall
+export const HEARTBEAT_INTERVAL_MS = 5000;
+
+/**
+ * Send a job's output as a text/event-stream, with heartbeats while nothing
+ * else is happening. The job carries on if the client goes away.
+ * @param {import("./index.js").Job} job - The job
+ * @param {Object} from - Where to start, as for followJob
+ * @param {Object} headers - Extra response headers
+ * @returns {Response} - A streaming response
+ */
+export function streamJob(job, from, headers) {
+  const encoder = new TextEncoder();
+  let heartbeat = null;
+  let closed = false;
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event) => {
+        if (!closed) {
+          controller.enqueue(encoder.encode(formatEvent(event)));
+        }
+      };
+
+      heartbeat = setInterval(
+        () => send({ event: "heartbeat", data: {} }),
+        HEARTBEAT_INTERVAL_MS
+      );
+      try {
+        for await (const event of followJob(job, from)) {
+          send(event);
+        }
+      } finally {
+        clearInterval(heartbeat);
+      }
+      if (!closed) {
+        controller.close();
+      }
+    },
+
+    cancel() {
+      closed = true;
+      clearInterval(heartbeat);
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+      "X-Job-Id": job.id,
+      ...headers,
+    },
+  });
+}
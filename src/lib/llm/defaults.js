@@ -0,0 +1,10 @@
+// File: lib/llm/defaults.js
+
+/**
+ * Sampling settings shared by every provider unless a model overrides them
+ */
+export const DEFAULT_GENERATION = {
+  temperature: 0.7,
+  topP: 0.95,
+  topK: 64,
+};
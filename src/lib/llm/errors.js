@@ -0,0 +1,83 @@
+// File: lib/llm/errors.js
+
+// Milliseconds a model request may take before it is abandoned, unless
+// LLM_TIMEOUT_MS is set
+export const DEFAULT_LLM_TIMEOUT_MS = 60000;
+
+/**
+ * A model request that failed, with the reason the API routes report:
+ * timeout - the model took too long to answer
+ * blocked - the model refused the prompt or its reply, e.g. on safety grounds
+ * upstream - any other failure from the model server
+ */
+export class LLMError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {string} kind - "timeout", "blocked" or "upstream"
+   */
+  constructor(message, kind = "upstream") {
+    super(message);
+    this.name = "LLMError";
+    this.kind = kind;
+  }
+}
+
+/**
+ * @param {Object} env - Configuration
+ * @returns {number} - LLM_TIMEOUT_MS, or the default
+ */
+export function getTimeout(env) {
+  return parseInt(env.LLM_TIMEOUT_MS || "", 10) || DEFAULT_LLM_TIMEOUT_MS;
+}
+
+/**
+ * Wrap an error from a provider in an LLMError, working out why it failed
+ * @param {Error} error - The provider's error
+ * @returns {LLMError} - The error to throw instead
+ */
+export function toLLMError(error) {
+  if (error instanceof LLMError) {
+    return error;
+  }
+  const message = error?.message || String(error);
+  if (
+    error?.name === "AbortError" ||
+    error?.name === "TimeoutError" ||
+    /timed? ?out|aborted/i.test(message)
+  ) {
+    return new LLMError(
+      `The model took too long to answer: ${message}`,
+      "timeout"
+    );
+  }
+  if (/blocked|safety|content[_ ]filter/i.test(message)) {
+    return new LLMError(`The model declined to answer: ${message}`, "blocked");
+  }
+  return new LLMError(message, "upstream");
+}
+
+/**
+ * Run a provider call, turning its failures into LLMErrors
+ * @param {function(): Promise<*>} call - The call
+ * @returns {Promise<*>} - Its result
+ */
+export async function guard(call) {
+  try {
+    return await call();
+  } catch (error) {
+    throw toLLMError(error);
+  }
+}
+
+/**
+ * Pass a provider stream through, turning its failures into LLMErrors
+ * @param {function(): AsyncIterable<string>} start - Starts the stream
+ * @returns {AsyncIterable<string>} - The same pieces
+ */
+export async function* guardStream(start) {
+  try {
+    yield* start();
+  } catch (error) {
+    throw toLLMError(error);
+  }
+}
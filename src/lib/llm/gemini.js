@@ -0,0 +1,93 @@
+// File: lib/llm/gemini.js
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { DEFAULT_GENERATION } from "./defaults.js";
+import { getTimeout, guard, guardStream } from "./errors.js";
+
+export const DEFAULT_GEMINI_MODEL = "gemini-2.0-flash";
+
+/**
+ * Google Gemini, configured with API_KEY and optionally LLM_MODEL and
+ * LLM_TIMEOUT_MS
+ * @param {Object} env - Configuration
+ * @returns {import("./index.js").LLMProvider} - The provider
+ */
+export function createGeminiProvider(env) {
+  const genAI = new GoogleGenerativeAI(env.API_KEY);
+  const requestOptions = { timeout: getTimeout(env) };
+
+  return {
+    name: "gemini",
+
+    createModel({ systemInstruction, model, generation } = {}) {
+      const gemini = genAI.getGenerativeModel(
+        {
+          model: model || env.LLM_MODEL || DEFAULT_GEMINI_MODEL,
+          generationConfig: { ...DEFAULT_GENERATION, ...generation },
+          // Set system instructions here instead of sending as a user message
+          ...(systemInstruction && {
+            systemInstruction: { parts: [{ text: systemInstruction }] },
+          }),
+        },
+        requestOptions
+      );
+
+      return {
+        startChat({ history = [] } = {}) {
+          const chat = gemini.startChat({ history: toGeminiHistory(history) });
+          return {
+            sendMessage(text) {
+              return guard(async () => {
+                const result = await chat.sendMessage(text);
+                return result.response.text();
+              });
+            },
+            sendMessageStream(text) {
+              return streamText(() => chat.sendMessageStream(text));
+            },
+          };
+        },
+
+        generate(prompt) {
+          return guard(async () => {
+            const result = await gemini.generateContent(prompt);
+            return result.response.text();
+          });
+        },
+
+        generateStream(prompt) {
+          return streamText(() => gemini.generateContentStream(prompt));
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Copy the history so Gemini only sees the fields it accepts
+ * @param {import("./index.js").ChatMessage[]} history - Earlier messages
+ * @returns {Array} - History for startChat
+ */
+function toGeminiHistory(history) {
+  return history.map((message) => ({
+    role: message.role,
+    parts: [{ text: message.parts[0].text }],
+  }));
+}
+
+/**
+ * Yield the text of each chunk of a Gemini stream. chunk.text() throws
+ * when the reply was blocked.
+ * @param {function(): Promise<Object>} start - Starts the stream
+ * @returns {AsyncIterable<string>} - Chunk texts
+ */
+function streamText(start) {
+  return guardStream(async function* () {
+    const result = await start();
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) {
+        yield text;
+      }
+    }
+  });
+}
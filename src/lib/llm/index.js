@@ -0,0 +1,90 @@
+// File: lib/llm/index.js
+import { createGeminiProvider } from "./gemini.js";
+import { createMockProvider } from "./mock.js";
+import { createOpenAIProvider } from "./openai.js";
+import { meterModel } from "./usage.js";
+
+/**
+ * Providers that can be chosen with the LLM_PROVIDER environment variable
+ */
+export const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+export const DEFAULT_PROVIDER = "gemini";
+
+export { DEFAULT_GENERATION } from "./defaults.js";
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {string} role - "user" or "model"
+ * @property {Array<{text: string}>} parts - Message text, in the format the chat client keeps its history
+ */
+
+/**
+ * @typedef {Object} LLMChat
+ * @property {function(string): Promise<string>} sendMessage - Send a message and get the whole reply
+ * @property {function(string): AsyncIterable<string>} sendMessageStream - Send a message and get the reply in pieces
+ */
+
+/**
+ * @typedef {Object} LLMModel
+ * @property {function({history?: ChatMessage[]}=): LLMChat} startChat - Start a chat, optionally from earlier messages
+ * @property {function(string): Promise<string>} generate - One-shot generation
+ * @property {function(string): AsyncIterable<string>} generateStream - One-shot generation in pieces
+ */
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name - PROVIDERS key
+ * @property {function(ModelOptions): LLMModel} createModel - Create a model with system instructions
+ */
+
+/**
+ * @typedef {Object} ModelOptions
+ * @property {string} [systemInstruction] - System instructions for every turn
+ * @property {string} [model] - Model name, overriding the provider's default and LLM_MODEL
+ * @property {Object} [generation] - Sampling settings, merged over DEFAULT_GENERATION
+ * @property {function(number): void} [onUsage] - Called with the estimated tokens of each request
+ */
+
+// Providers are reused between requests while the configuration is the same
+let cached = null;
+
+/**
+ * Get the provider chosen by configuration
+ * @param {Object} [env] - Configuration, process.env by default
+ * @returns {LLMProvider} - The provider
+ */
+export function getProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+  if (!PROVIDERS[name]) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(
+        PROVIDERS
+      ).join(", ")}.`
+    );
+  }
+
+  if (!cached || cached.name !== name || cached.env !== env) {
+    cached = { name, env, provider: PROVIDERS[name](env) };
+  }
+  return cached.provider;
+}
+
+/**
+ * Create a model from the configured provider
+ * @param {string} [systemInstruction] - System instructions for every turn
+ * @param {Omit<ModelOptions, "systemInstruction">} [options] - Model name, sampling settings and usage reporting
+ * @returns {LLMModel} - The model
+ */
+export function createModel(systemInstruction, options = {}) {
+  const { onUsage, ...modelOptions } = options;
+  const model = getProvider().createModel({
+    systemInstruction,
+    ...modelOptions,
+  });
+  return onUsage ? meterModel(model, systemInstruction, onUsage) : model;
+}
@@ -0,0 +1,209 @@
+// File: lib/llm/mock.js
+import { readFileSync } from "fs";
+import {
+  NOT_GIVEN,
+  PROJECT_FIELDS,
+  SUMMARY_MARKER,
+} from "../projectSummary.js";
+import { LLMError } from "./errors.js";
+
+// Questions the mock asks before it writes the project summary, with the
+// summary line each answer goes on
+const MOCK_QUESTIONS = [
+  {
+    field: "projectType",
+    text: "What kind of project are you planning, and what does it involve?",
+  },
+  {
+    field: "dimensions",
+    text: "How big is the area you are working on? Please give rough dimensions.",
+  },
+  {
+    field: "location",
+    text: "Is the work indoors or outdoors, and when would you like to start the hire?",
+  },
+];
+
+// Tools the mock recommends from the tool information it is given
+const MOCK_RECOMMENDATIONS = 3;
+
+// Characters per streamed piece
+const PIECE_LENGTH = 24;
+
+/**
+ * A deterministic, offline stand-in for a real model. Without a script it
+ * asks MOCK_QUESTIONS one per turn, then writes a FINAL SUMMARY with the
+ * answers on its labelled lines, recommends the first tools in the tool
+ * information for two days each, and restates the recommendation as JSON
+ * when asked. MOCK_LLM_SCRIPT can point at a JSON file of
+ * [{ "match": "<regex>", "reply": "<text>" }] rules, tried in order
+ * against each message before the built-in replies. A rule with
+ * "error": "timeout", "blocked" or "upstream" instead of a reply fails the
+ * request that way. MOCK_LLM_DELAY_MS slows streaming down, e.g. to test
+ * timeouts.
+ * @param {Object} env - Configuration
+ * @returns {import("./index.js").LLMProvider} - The provider
+ */
+export function createMockProvider(env) {
+  const rules = loadScript(env.MOCK_LLM_SCRIPT);
+  const delay = parseInt(env.MOCK_LLM_DELAY_MS || "0", 10);
+
+  const reply = (history, text) => {
+    const rule = rules.find((candidate) => candidate.pattern.test(text));
+    if (rule?.error) {
+      throw new LLMError(`Scripted ${rule.error} failure.`, rule.error);
+    }
+    if (rule) {
+      return rule.reply;
+    }
+    if (/^Restate the tool hire recommendation below as JSON/.test(text)) {
+      return restate(text);
+    }
+    if (/Catalog ID:/.test(text)) {
+      return recommend(text);
+    }
+    return gather([...history, { role: "user", parts: [{ text }] }]);
+  };
+
+  async function* stream(text) {
+    for (let i = 0; i < text.length; i += PIECE_LENGTH) {
+      if (delay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+      yield text.slice(i, i + PIECE_LENGTH);
+    }
+  }
+
+  return {
+    name: "mock",
+
+    createModel() {
+      return {
+        startChat({ history = [] } = {}) {
+          return {
+            sendMessage: async (text) => reply(history, text),
+            sendMessageStream: (text) => stream(reply(history, text)),
+          };
+        },
+        generate: async (prompt) => reply([], prompt),
+        generateStream: (prompt) => stream(reply([], prompt)),
+      };
+    },
+  };
+}
+
+/**
+ * Ask the next question, or summarise once every question is answered
+ * @param {import("./index.js").ChatMessage[]} messages - Conversation so far, ending with the user's message
+ * @returns {string} - The reply
+ */
+function gather(messages) {
+  const answers = messages
+    .filter((message) => message.role === "user")
+    .map((message) => unwrap(message.parts[0].text));
+
+  // The first message opens the conversation; each later one answers a question
+  if (answers.length <= MOCK_QUESTIONS.length) {
+    return MOCK_QUESTIONS[answers.length - 1].text;
+  }
+
+  const answerFor = (key) => {
+    const index = MOCK_QUESTIONS.findIndex(
+      (question) => question.field === key
+    );
+    return (index !== -1 && answers[index + 1]) || NOT_GIVEN;
+  };
+
+  return [
+    "Thank you, I have everything I need.",
+    "",
+    SUMMARY_MARKER,
+    ...PROJECT_FIELDS.map(({ key, label }) => `- ${label}: ${answerFor(key)}`),
+    "",
+    `The customer's project: ${answers[1]}`,
+  ].join("\n");
+}
+
+/**
+ * Read a customer's words from inside the tags the advisor wraps them in
+ * @param {string} text - A user message
+ * @returns {string} - The customer's words
+ */
+function unwrap(text) {
+  return text
+    .replace(/^\s*<customer_message>|<\/customer_message>\s*$/g, "")
+    .trim();
+}
+
+/**
+ * Recommend the first tools listed in a recommendation prompt
+ * @param {string} prompt - Prompt holding the formatted tool information
+ * @returns {string} - Recommendation text with catalog markers
+ */
+function recommend(prompt) {
+  const tools = [
+    ...prompt.matchAll(/^## (.+)\n- Catalog ID: ([a-z0-9-]+)$/gm),
+  ].slice(0, MOCK_RECOMMENDATIONS);
+
+  if (tools.length === 0) {
+    return "None of the tools in our range match this project.";
+  }
+
+  return [
+    "## Recommended Tools",
+    "",
+    ...tools.map(([, name, id], i) =>
+      [
+        `${i + 1}. **${name}** [[${id}|2]]`,
+        "- Easy to use. Suits the project described.",
+      ].join(" ")
+    ),
+    "",
+    "## Hire Duration",
+    "",
+    "Two days for each tool covers the work described, with time to spare.",
+  ].join("\n");
+}
+
+/**
+ * Restate a recommendation as JSON from the catalog IDs listed in the prompt
+ * @param {string} prompt - Prompt built by buildExtractionPrompt
+ * @returns {string} - JSON reply
+ */
+function restate(prompt) {
+  const tools = [
+    ...prompt.matchAll(/^- ([a-z0-9-]+): .+?(?:, ([\d.]+) days)?$/gm),
+  ];
+
+  return JSON.stringify({
+    tools: tools.map(([, catalogId, days]) => ({
+      catalogId,
+      reason: "Suits the project described.",
+      difficulty: "Easy to use",
+      hireDuration: {
+        days: days ? parseFloat(days) : 2,
+        justification: "Covers the work described, with time to spare.",
+      },
+      quantity: 1,
+    })),
+    uncertainties: ["The mock model does not read the project details."],
+    safetyNotes: ["Read the safety notes for each tool before use."],
+  });
+}
+
+/**
+ * Read the scripted replies
+ * @param {string} [file] - Path to the script, if any
+ * @returns {Array<{pattern: RegExp, reply: string, error: string}>} - Rules in order
+ */
+function loadScript(file) {
+  if (!file) {
+    return [];
+  }
+  const rules = JSON.parse(readFileSync(file, "utf8"));
+  return rules.map((rule) => ({
+    pattern: new RegExp(rule.match || "", "i"),
+    reply: rule.reply,
+    error: rule.error,
+  }));
+}
@@ -0,0 +1,159 @@
+// File: lib/llm/openai.js
+import { DEFAULT_GENERATION } from "./defaults.js";
+import { LLMError, getTimeout, guard, guardStream } from "./errors.js";
+
+// Ollama's OpenAI-compatible endpoint, the usual local model server
+export const DEFAULT_OPENAI_BASE_URL = "http://localhost:11434/v1";
+
+/**
+ * Any server with an OpenAI-compatible chat completions endpoint, e.g. a
+ * local model server. Configured with OPENAI_BASE_URL, LLM_MODEL and
+ * optionally OPENAI_API_KEY and LLM_TIMEOUT_MS.
+ * @param {Object} env - Configuration
+ * @returns {import("./index.js").LLMProvider} - The provider
+ */
+export function createOpenAIProvider(env) {
+  const baseUrl = (env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(
+    /\/+$/,
+    ""
+  );
+
+  return {
+    name: "openai",
+
+    createModel({ systemInstruction, model, generation } = {}) {
+      const name = model || env.LLM_MODEL;
+      if (!name) {
+        throw new Error("Set LLM_MODEL to use the openai provider.");
+      }
+      const { temperature, topP } = { ...DEFAULT_GENERATION, ...generation };
+
+      // Request body for a conversation ending with the new message
+      const body = (history, text, stream) => ({
+        model: name,
+        messages: [
+          ...(systemInstruction
+            ? [{ role: "system", content: systemInstruction }]
+            : []),
+          ...history.map((message) => ({
+            role: message.role === "model" ? "assistant" : "user",
+            content: message.parts[0].text,
+          })),
+          { role: "user", content: text },
+        ],
+        temperature,
+        top_p: topP,
+        stream,
+      });
+
+      const complete = (history, text) =>
+        guard(async () => {
+          const response = await post(baseUrl, env, body(history, text, false));
+          const data = await response.json();
+          checkFinish(data);
+          return data.choices?.[0]?.message?.content || "";
+        });
+
+      const stream = (history, text) =>
+        guardStream(async function* () {
+          const response = await post(baseUrl, env, body(history, text, true));
+          for await (const data of readEvents(response.body)) {
+            checkFinish(data);
+            const piece = data.choices?.[0]?.delta?.content;
+            if (piece) {
+              yield piece;
+            }
+          }
+        });
+
+      return {
+        startChat({ history = [] } = {}) {
+          return {
+            sendMessage: (text) => complete(history, text),
+            sendMessageStream: (text) => stream(history, text),
+          };
+        },
+        generate: (prompt) => complete([], prompt),
+        generateStream: (prompt) => stream([], prompt),
+      };
+    },
+  };
+}
+
+/**
+ * Send a chat completions request
+ * @param {string} baseUrl - API base URL, without a trailing slash
+ * @param {Object} env - Configuration with the optional OPENAI_API_KEY
+ * @param {Object} body - Request body
+ * @returns {Promise<Response>} - The successful response
+ */
+async function post(baseUrl, env, body) {
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(env.OPENAI_API_KEY && {
+        Authorization: `Bearer ${env.OPENAI_API_KEY}`,
+      }),
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(getTimeout(env)),
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => "");
+    throw new Error(
+      `Model server responded with status ${response.status}${
+        detail ? `: ${detail.slice(0, 200)}` : ""
+      }`
+    );
+  }
+  return response;
+}
+
+/**
+ * Fail when the server filtered the reply
+ * @param {Object} data - A completion or a streamed piece of one
+ * @throws {LLMError} - A "blocked" error for a content_filter finish
+ */
+function checkFinish(data) {
+  if (data.choices?.[0]?.finish_reason === "content_filter") {
+    throw new LLMError(
+      "The reply was blocked by the content filter.",
+      "blocked"
+    );
+  }
+}
+
+/**
+ * Read the JSON payloads of a server-sent event stream
+ * @param {ReadableStream<Uint8Array>} body - Response body
+ * @returns {AsyncIterable<Object>} - Parsed "data:" payloads, up to [DONE]
+ */
+async function* readEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value, { stream: true });
+
+    // Keep the last, possibly incomplete, line for the next read
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      const data = line.replace(/^data:\s*/, "").trim();
+      if (!line.startsWith("data:") || !data) {
+        continue;
+      }
+      if (data === "[DONE]") {
+        return;
+      }
+      yield JSON.parse(data);
+    }
+  }
+}
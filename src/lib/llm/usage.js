@@ -0,0 +1,70 @@
+// File: lib/llm/usage.js
+
+// Rough characters per token for English text. Providers count tokens
+// differently, so usage is estimated the same way for all of them.
+export const CHARACTERS_PER_TOKEN = 4;
+
+/**
+ * @param {string} text - Prompt or reply text
+ * @returns {number} - Estimated tokens in the text
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || "").length / CHARACTERS_PER_TOKEN);
+}
+
+/**
+ * Report the tokens a model spends. Every request is counted with its
+ * system instructions, history and reply, including streams that fail or
+ * are abandoned part way.
+ * @param {import("./index.js").LLMModel} model - The model
+ * @param {string} [systemInstruction] - The model's system instructions
+ * @param {function(number): void} onUsage - Called with the estimated tokens of each request
+ * @returns {import("./index.js").LLMModel} - The same model, metered
+ */
+export function meterModel(model, systemInstruction, onUsage) {
+  const prompt = (history, text) =>
+    estimateTokens(systemInstruction) +
+    history.reduce(
+      (total, message) => total + estimateTokens(message.parts[0].text),
+      0
+    ) +
+    estimateTokens(text);
+
+  const complete = async (history, text, call) => {
+    let reply = "";
+    try {
+      reply = await call();
+      return reply;
+    } finally {
+      onUsage(prompt(history, text) + estimateTokens(reply));
+    }
+  };
+
+  async function* stream(history, text, start) {
+    let reply = "";
+    try {
+      for await (const piece of start()) {
+        reply += piece;
+        yield piece;
+      }
+    } finally {
+      onUsage(prompt(history, text) + estimateTokens(reply));
+    }
+  }
+
+  return {
+    startChat(options = {}) {
+      const history = options.history || [];
+      const chat = model.startChat(options);
+      return {
+        sendMessage: (text) =>
+          complete(history, text, () => chat.sendMessage(text)),
+        sendMessageStream: (text) =>
+          stream(history, text, () => chat.sendMessageStream(text)),
+      };
+    },
+    generate: (text) => complete([], text, () => model.generate(text)),
+    generateStream: (text) =>
+      stream([], text, () => model.generateStream(text)),
+  };
+}
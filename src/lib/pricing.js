@@ -0,0 +1,236 @@
+// File: lib/pricing.js
+import { PRICE_TIERS } from "./catalog.js";
+
+// Tiers that can be combined freely; the weekend tier is only offered when
+// the hire actually runs over a weekend
+const DAY_TIERS = PRICE_TIERS.filter((tier) => tier.key !== "weekend");
+const WEEKEND_TIER = PRICE_TIERS.find((tier) => tier.key === "weekend");
+
+// Longest hire that is quoted. Longer hires are priced on request, and the
+// limit keeps the search over tier combinations small.
+export const MAX_HIRE_DAYS = 90;
+
+/**
+ * @typedef {Object} QuoteLine
+ * @property {string} tier - PRICE_TIERS key, e.g. "week"
+ * @property {string} label - Display label, e.g. "Week"
+ * @property {number} quantity - Number of times the tier is hired
+ * @property {number} unitPrice - Price of one tier in pounds (ex VAT)
+ * @property {number} amount - quantity * unitPrice
+ */
+
+/**
+ * @typedef {Object} HireQuote
+ * @property {number} days - Hire length requested
+ * @property {number} coveredDays - Days paid for, which can exceed the request
+ * @property {boolean} overWeekend - Whether the weekend tier was allowed
+ * @property {QuoteLine[]} lines - Line-item breakdown
+ * @property {number} total - Total in pounds (ex VAT)
+ */
+
+/**
+ * Find the cheapest combination of price tiers that covers a hire
+ * @param {Object<string, number>} prices - Price per PRICE_TIERS key, from a catalog entry
+ * @param {number} days - Required hire length in days
+ * @param {Object} [options] - Quote options
+ * @param {boolean} [options.overWeekend=false] - Whether the hire falls over a weekend
+ * @returns {HireQuote|null} - The cheapest quote, or null if the tool has no usable prices or the hire is not between 1 and MAX_HIRE_DAYS days
+ */
+export function quoteHire(prices, days, options = {}) {
+  if (!(days > 0) || days > MAX_HIRE_DAYS) {
+    return null;
+  }
+  const { overWeekend = false } = options;
+  const requiredDays = Math.max(1, Math.ceil(days));
+  const tiers = DAY_TIERS.filter((tier) => prices[tier.key] > 0);
+  const weekendPrice = prices[WEEKEND_TIER.key] || 0;
+
+  // One weekend per week of hire, at least one if the hire crosses a weekend
+  const maxWeekends =
+    overWeekend && weekendPrice > 0
+      ? Math.max(1, Math.ceil(requiredDays / 7))
+      : 0;
+
+  let best = null;
+  for (let weekends = 0; weekends <= maxWeekends; weekends++) {
+    const remaining = Math.max(0, requiredDays - weekends * WEEKEND_TIER.days);
+    const plan = cheapestCover(tiers, prices, remaining);
+    if (!plan) {
+      continue;
+    }
+
+    const counts = { ...plan.counts };
+    if (weekends > 0) {
+      counts[WEEKEND_TIER.key] = weekends;
+    }
+    const total = roundPounds(plan.cost + weekends * weekendPrice);
+    const coveredDays = plan.days + weekends * WEEKEND_TIER.days;
+    const items = plan.items + weekends;
+
+    // Prefer the lower total, then fewer line items, then fewer spare days
+    if (
+      !best ||
+      total < best.total ||
+      (total === best.total && items < best.items) ||
+      (total === best.total &&
+        items === best.items &&
+        coveredDays < best.coveredDays)
+    ) {
+      best = { total, coveredDays, items, counts };
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  const lines = PRICE_TIERS.filter((tier) => best.counts[tier.key] > 0).map(
+    (tier) => ({
+      tier: tier.key,
+      label: tier.label,
+      quantity: best.counts[tier.key],
+      unitPrice: prices[tier.key],
+      amount: roundPounds(best.counts[tier.key] * prices[tier.key]),
+    })
+  );
+
+  return {
+    days: requiredDays,
+    coveredDays: best.coveredDays,
+    overWeekend: maxWeekends > 0,
+    lines,
+    total: best.total,
+  };
+}
+
+/**
+ * Quote every recommended tool and total the set
+ * @param {Array<{entry: Object, days: number, overWeekend?: boolean}>} items - Tools with their hire length
+ * @returns {{tools: Array, total: number, unpriced: string[]}} - Per-tool quotes, the set total and the tools that could not be priced
+ */
+export function quoteToolSet(items) {
+  const tools = [];
+  const unpriced = [];
+  let total = 0;
+
+  for (const { entry, days, overWeekend = false } of items) {
+    const quote =
+      days > 0 ? quoteHire(entry.prices, days, { overWeekend }) : null;
+
+    tools.push({ id: entry.id, productName: entry.productName, quote });
+    if (quote) {
+      total += quote.total;
+    } else {
+      unpriced.push(entry.id);
+    }
+  }
+
+  return { tools, total: roundPounds(total), unpriced };
+}
+
+/**
+ * Render a tool set quote as markdown for the recommendation text
+ * @param {Object} setQuote - Result of quoteToolSet
+ * @returns {string} - Markdown section, or an empty string if nothing was priced
+ */
+export function formatQuote(setQuote) {
+  const priced = setQuote.tools.filter((tool) => tool.quote);
+  if (priced.length === 0) {
+    return "";
+  }
+
+  const lines = ["## Estimated Hire Cost", ""];
+  for (const { productName, quote } of priced) {
+    const breakdown = quote.lines
+      .map(
+        (line) =>
+          `${line.quantity > 1 ? `${line.quantity} x ` : ""}${line.label}`
+      )
+      .join(" + ");
+    lines.push(
+      `- ${productName} (${quote.days} day${
+        quote.days === 1 ? "" : "s"
+      }): ${breakdown} = £${quote.total.toFixed(2)}`
+    );
+  }
+  lines.push("", `**Total: £${setQuote.total.toFixed(2)}** (exc. VAT)`);
+
+  const unpriced = setQuote.tools.filter((tool) => !tool.quote);
+  if (unpriced.length > 0) {
+    lines.push(
+      "",
+      `Prices for ${unpriced
+        .map((tool) => tool.productName)
+        .join(", ")} are available on request.`
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Unbounded knapsack over the day tiers: the cheapest way to pay for at
+ * least `days` days
+ * @param {Array} tiers - Day tiers with a price
+ * @param {Object<string, number>} prices - Price per tier key
+ * @param {number} days - Days to cover
+ * @returns {{cost: number, days: number, items: number, counts: Object}|null} - Cheapest plan
+ */
+function cheapestCover(tiers, prices, days) {
+  if (days === 0) {
+    return { cost: 0, days: 0, items: 0, counts: {} };
+  }
+  if (tiers.length === 0) {
+    return null;
+  }
+
+  // Covering exactly d days for d up to days + longest tier is enough to
+  // find the cheapest plan that covers at least `days`
+  const limit = days + Math.max(...tiers.map((tier) => tier.days));
+  const plans = new Array(limit + 1).fill(null);
+  plans[0] = { cost: 0, items: 0, counts: {} };
+
+  for (let d = 1; d <= limit; d++) {
+    for (const tier of tiers) {
+      const previous = d >= tier.days ? plans[d - tier.days] : null;
+      if (!previous) {
+        continue;
+      }
+      const cost = previous.cost + prices[tier.key];
+      const items = previous.items + 1;
+      const current = plans[d];
+      if (
+        !current ||
+        cost < current.cost - 1e-9 ||
+        (Math.abs(cost - current.cost) < 1e-9 && items < current.items)
+      ) {
+        plans[d] = {
+          cost,
+          items,
+          counts: {
+            ...previous.counts,
+            [tier.key]: (previous.counts[tier.key] || 0) + 1,
+          },
+        };
+      }
+    }
+  }
+
+  let best = null;
+  for (let d = days; d <= limit; d++) {
+    const plan = plans[d];
+    if (plan && (!best || plan.cost < best.cost - 1e-9)) {
+      best = { ...plan, days: d };
+    }
+  }
+  return best;
+}
+
+/**
+ * Round to whole pence
+ * @param {number} value - Amount in pounds
+ * @returns {number} - Rounded amount
+ */
+function roundPounds(value) {
+  return Math.round(value * 100) / 100;
+}
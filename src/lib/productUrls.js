@@ -0,0 +1,293 @@
+// File: lib/productUrls.js
+import { slugify } from "./catalog.js";
+import { MAX_HIRE_DAYS } from "./pricing.js";
+
+// Minimum share of the shorter name's words that must match for a fuzzy join
+const FUZZY_THRESHOLD = 0.75;
+
+/**
+ * @typedef {Object} ProductUrlRow
+ * @property {string} name - Product name as written in the CSV
+ * @property {string} url - Product page URL
+ * @property {number} line - 1-based line in product_urls.txt
+ */
+
+/**
+ * @typedef {Object} ProductUrlMatch
+ * @property {Object<string, string>} urlsById - Resolved URL per catalog entry id
+ * @property {Array<{entryId: string, row: ProductUrlRow, method: string}>} matches - How each entry was joined
+ * @property {import("./catalog.js").CatalogEntry[]} entriesWithoutUrl - Catalog entries with no CSV row
+ * @property {ProductUrlRow[]} rowsWithoutEntry - CSV rows with no catalog entry
+ */
+
+/**
+ * Parse the "Product Name,Product URL" CSV
+ * @param {string} text - Contents of product_urls.txt
+ * @returns {ProductUrlRow[]} - One row per product
+ */
+export function parseProductUrls(text) {
+  const rows = [];
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((line, index) => {
+    // Skip the header and blank lines
+    if (index === 0 || !line.trim()) {
+      return;
+    }
+
+    // URLs never contain commas, so the last comma separates the columns
+    const separator = line.lastIndexOf(",");
+    if (separator === -1) {
+      return;
+    }
+
+    const name = unquote(line.slice(0, separator)).replace(/\\,/g, ",");
+    const url = unquote(line.slice(separator + 1));
+    rows.push({ name, url, line: index + 1 });
+  });
+
+  return rows;
+}
+
+/**
+ * Join CSV rows to catalog entries by normalised product name. Exact matches
+ * are taken first; the remaining rows are then paired with the entry sharing
+ * the most words, which covers differences such as "Karcher -Rotary Patio
+ * Head Cleaner" vs "Karcher Rotary Patio Head Cleaner T200".
+ * @param {import("./catalog.js").CatalogEntry[]} entries - Parsed catalog entries
+ * @param {ProductUrlRow[]} rows - Parsed CSV rows
+ * @returns {ProductUrlMatch} - Resolved URLs and everything left unmatched
+ */
+export function matchProductUrls(entries, rows) {
+  // No prototype, so ids such as "constructor" find nothing
+  const urlsById = Object.create(null);
+  const matches = [];
+  const unmatchedEntries = new Map(entries.map((entry) => [entry.id, entry]));
+  const unmatchedRows = new Set(rows);
+
+  const link = (entry, row, method) => {
+    urlsById[entry.id] = row.url;
+    matches.push({ entryId: entry.id, row, method });
+    unmatchedEntries.delete(entry.id);
+    unmatchedRows.delete(row);
+  };
+
+  // Exact pass on the normalised name
+  const entriesByKey = new Map();
+  for (const entry of entries) {
+    const key = normaliseName(entry.productName);
+    if (!entriesByKey.has(key)) {
+      entriesByKey.set(key, entry);
+    }
+  }
+  for (const row of rows) {
+    const entry = entriesByKey.get(normaliseName(row.name));
+    if (entry && unmatchedEntries.has(entry.id)) {
+      link(entry, row, "exact");
+    }
+  }
+
+  // Fuzzy pass: score every remaining pair and take the best ones first
+  const candidates = [];
+  for (const row of unmatchedRows) {
+    const rowWords = nameWords(row.name);
+    for (const entry of unmatchedEntries.values()) {
+      const score = overlapScore(rowWords, nameWords(entry.productName));
+      if (score.overlap >= FUZZY_THRESHOLD && score.shared >= 2) {
+        candidates.push({ row, entry, ...score });
+      }
+    }
+  }
+  candidates.sort(
+    (a, b) =>
+      b.overlap - a.overlap ||
+      b.jaccard - a.jaccard ||
+      a.row.line - b.row.line ||
+      a.entry.line - b.entry.line
+  );
+  for (const { row, entry } of candidates) {
+    if (unmatchedRows.has(row) && unmatchedEntries.has(entry.id)) {
+      link(entry, row, "fuzzy");
+    }
+  }
+
+  return {
+    urlsById,
+    matches,
+    entriesWithoutUrl: [...unmatchedEntries.values()],
+    rowsWithoutEntry: [...unmatchedRows],
+  };
+}
+
+/**
+ * @param {number} days - Hire length read from a marker
+ * @returns {boolean} - Whether it is a length that can be quoted; longer ones are treated as not given
+ */
+function isHireLength(days) {
+  return days > 0 && days <= MAX_HIRE_DAYS;
+}
+
+/**
+ * Rewrites the "[[catalog-id]]" markers the model writes after each product
+ * name into links to the resolved product page. Text is buffered while a
+ * marker is incomplete, so it works on streamed chunks as well as whole texts.
+ * Markers may carry the hire length, "[[catalog-id|5]]", and a weekend flag,
+ * "[[catalog-id|2|weekend]]", which are recorded for the hire quote.
+ * @param {Object} options - Rewriter options
+ * @param {Object<string, import("./catalog.js").CatalogEntry>} options.entriesById - Catalog entries by id
+ * @param {Object<string, string>} options.urlsById - Resolved URLs by entry id
+ * @returns {Object} - push(chunk), flush(), getTools() and getUnknownIds()
+ */
+export function createLinkRewriter({ entriesById, urlsById }) {
+  let pending = "";
+  const tools = [];
+  const unknownIds = [];
+
+  const replaceMarker = (id, options = "") => {
+    const entry = entriesById[id];
+    if (!entry) {
+      console.warn("Model referenced unknown catalog id:", id);
+      if (!unknownIds.includes(id)) {
+        unknownIds.push(id);
+      }
+      return "";
+    }
+
+    const flags = options.split("|").map((flag) => flag.trim().toLowerCase());
+    const days = parseFloat(flags.find((flag) => /^\d+(\.\d+)?$/.test(flag)));
+    const overWeekend = flags.includes("weekend");
+
+    const existing = tools.find((tool) => tool.id === id);
+    if (!existing) {
+      tools.push({
+        id,
+        productName: entry.productName,
+        url: urlsById[id] || null,
+        days: isHireLength(days) ? days : null,
+        overWeekend,
+      });
+    } else if (!existing.days && isHireLength(days)) {
+      // A later mention may be the one that states the hire length
+      existing.days = days;
+      existing.overWeekend = overWeekend;
+    }
+
+    return urlsById[id] ? `([view product](${urlsById[id]}))` : "";
+  };
+
+  const rewrite = (text) =>
+    text.replace(/\[\[([a-z0-9-]+)(?:\|([^\]]*))?\]\]/g, (_, id, options) =>
+      replaceMarker(id, options)
+    );
+
+  return {
+    /**
+     * Rewrite a chunk, holding back any trailing partial marker
+     * @param {string} chunk - Next piece of model output
+     * @returns {string} - Text that is safe to send on
+     */
+    push(chunk) {
+      pending += chunk;
+      const open = pending.lastIndexOf("[[");
+      const heldFrom =
+        open !== -1 && pending.indexOf("]]", open) === -1
+          ? open
+          : pending.endsWith("[")
+          ? pending.length - 1
+          : pending.length;
+
+      const ready = pending.slice(0, heldFrom);
+      pending = pending.slice(heldFrom);
+      return rewrite(ready);
+    },
+
+    /**
+     * Release whatever is still buffered at the end of the output
+     * @returns {string} - Remaining text
+     */
+    flush() {
+      const rest = rewrite(pending);
+      pending = "";
+      return rest;
+    },
+
+    /**
+     * Catalog tools referenced so far, in order of first mention
+     * @returns {Array<{id: string, productName: string, url: string|null, days: number|null, overWeekend: boolean}>} - Referenced tools
+     */
+    getTools() {
+      return tools;
+    },
+
+    /**
+     * Ids in markers that are not in the catalog, which were dropped
+     * @returns {string[]} - Unknown ids, in order of first mention
+     */
+    getUnknownIds() {
+      return unknownIds;
+    },
+  };
+}
+
+/**
+ * Rewrite every marker in a complete text
+ * @param {string} text - Full model output
+ * @param {Object} options - Same options as createLinkRewriter
+ * @returns {{text: string, tools: Array}} - Linked text and referenced tools
+ */
+export function linkRecommendation(text, options) {
+  const rewriter = createLinkRewriter(options);
+  const linked = rewriter.push(text) + rewriter.flush();
+  return { text: linked, tools: rewriter.getTools() };
+}
+
+/**
+ * Normalise a product name for exact comparison, so that
+ * "Hilti -Medium Duty Breaker 110v" and "Hilti - Medium Duty Breaker 110V" agree
+ * @param {string} name - Product name
+ * @returns {string} - Normalised key
+ */
+export function normaliseName(name) {
+  return slugify(name);
+}
+
+/**
+ * Split a product name into its distinct normalised words
+ * @param {string} name - Product name
+ * @returns {Set<string>} - Words in the name
+ */
+function nameWords(name) {
+  return new Set(normaliseName(name).split("-").filter(Boolean));
+}
+
+/**
+ * Compare two word sets
+ * @param {Set<string>} a - First word set
+ * @param {Set<string>} b - Second word set
+ * @returns {{shared: number, overlap: number, jaccard: number}} - Similarity scores
+ */
+function overlapScore(a, b) {
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) {
+      shared++;
+    }
+  }
+  return {
+    shared,
+    overlap: shared / Math.min(a.size, b.size),
+    jaccard: shared / (a.size + b.size - shared),
+  };
+}
+
+/**
+ * Remove surrounding quotes and whitespace from a CSV field
+ * @param {string} value - Raw field
+ * @returns {string} - Clean value
+ */
+function unquote(value) {
+  return value
+    .trim()
+    .replace(/^"(.*)"$/, "$1")
+    .replace(/""/g, '"');
+}
@@ -0,0 +1,519 @@
+// File: lib/projectSummary.js
+
+// Heading the gathering prompt asks the model to put before the summary
+export const SUMMARY_MARKER = "## FINAL SUMMARY ##";
+
+/**
+ * Labelled lines the gathering prompt asks for in the summary, in order.
+ * The label is what the model writes; the key is the ProjectDetails field.
+ */
+export const PROJECT_FIELDS = [
+  { key: "projectType", label: "Project type" },
+  { key: "dimensions", label: "Dimensions" },
+  { key: "materials", label: "Materials" },
+  { key: "spaceConstraints", label: "Space constraints" },
+  { key: "setting", label: "Setting" },
+  { key: "deadline", label: "Deadline" },
+  { key: "hireStart", label: "Hire start date" },
+  { key: "schedule", label: "Schedule" },
+  { key: "location", label: "Indoors or outdoors" },
+  { key: "terrain", label: "Terrain and access" },
+  { key: "constraints", label: "Other constraints" },
+];
+
+// Written by the model for anything the customer did not say
+export const NOT_GIVEN = "Not given";
+
+export const SETTINGS = ["residential", "commercial", "industrial"];
+export const SCHEDULES = ["full-time", "weekends", "evenings", "part-time"];
+export const LOCATIONS = ["indoor", "outdoor", "both"];
+
+// Answers that mean the customer did not say
+const NOT_GIVEN_PATTERN =
+  /^(?:not (?:given|specified|provided|stated|mentioned|known|sure)|unknown|unsure|n\/a|tbc|(?:the customer )?(?:does not|doesn't|did not|didn't) (?:know|say)|i don'?t know|skipped)\.?$/i;
+
+// Answers that mean there is nothing to list
+const NONE_PATTERN = /^(?:none|no|nothing|none (?:given|mentioned|known))\.?$/i;
+
+// Length and area units as customers write them, with the symbol used in ProjectDetails
+const UNITS = [
+  {
+    unit: "m²",
+    pattern:
+      /^(?:m2|m²|sq\.? ?m|sqm|square met(?:re|er)s?|met(?:re|er)s? squared)$/i,
+  },
+  {
+    unit: "ft²",
+    pattern:
+      /^(?:ft2|ft²|sq\.? ?ft|sqft|square f(?:ee|oo)t|f(?:ee|oo)t squared)$/i,
+  },
+  { unit: "mm", pattern: /^(?:mm|millimet(?:re|er)s?)$/i },
+  { unit: "cm", pattern: /^(?:cm|centimet(?:re|er)s?)$/i },
+  { unit: "m", pattern: /^(?:m|met(?:re|er)s?)$/i },
+  { unit: "ft", pattern: /^(?:ft|f(?:ee|oo)t|')$/i },
+  { unit: "in", pattern: /^(?:in|inch(?:es)?|")$/i },
+];
+
+// A number, optionally followed by a unit
+const MEASUREMENT_PATTERN =
+  /(\d+(?:\.\d+)?)\s*(square met(?:re|er)s?|met(?:re|er)s? squared|square f(?:ee|oo)t|f(?:ee|oo)t squared|sq\.? ?m\b|sqm\b|sq\.? ?ft\b|sqft\b|m2\b|m²|ft2\b|ft²|millimet(?:re|er)s?|centimet(?:re|er)s?|met(?:re|er)s?|f(?:ee|oo)t|inch(?:es)?|mm\b|cm\b|m\b|ft\b|in\.?(?=\s*(?:[x×,;.)]|(?:by|thick|long|wide|high|deep|tall)\b|$))|'|")?/gi;
+
+// Prose summaries give the hire start as "Hire start date: YYYY-MM-DD"
+const HIRE_START_PATTERN = /hire start date:?\**\s*/i;
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+/**
+ * @typedef {Object} Measurement
+ * @property {number} value - The number as written
+ * @property {string|null} unit - "m", "cm", "mm", "ft", "in", "m²" or "ft²", null if none was given
+ */
+
+/**
+ * @typedef {Object} ProjectDetails
+ * @property {string|null} projectType - What the project is
+ * @property {{text: string, measurements: Measurement[], area: Measurement|null}|null} dimensions - Sizes as written, with the numbers and units read from them
+ * @property {string[]|null} materials - Materials worked on
+ * @property {string|null} spaceConstraints - Tight access or clearance
+ * @property {string|null} setting - One of SETTINGS
+ * @property {{text: string, date: string|null}|null} deadline - Deadline as written, with the date if one was given
+ * @property {string|null} hireStart - First hire day, YYYY-MM-DD
+ * @property {string|null} schedule - One of SCHEDULES
+ * @property {string|null} location - One of LOCATIONS
+ * @property {string|null} terrain - Terrain and access for outdoor work
+ * @property {string[]|null} constraints - Noise, power and other restrictions
+ * @property {string[]} missing - Keys of the fields the customer did not give
+ * @property {Object<string, string>} raw - Each field's text as the model wrote it
+ */
+
+/**
+ * Check whether a model reply contains the final project summary
+ * @param {string} text - Model reply
+ * @returns {boolean} - Whether the gathering phase is complete
+ */
+export function hasSummary(text) {
+  return (text || "").includes(SUMMARY_MARKER);
+}
+
+/**
+ * Read the project details from the FINAL SUMMARY. The labelled lines are
+ * used when present; summaries written as prose fall back to keywords for
+ * the setting, schedule and location and to the sizes found in the text.
+ * Fields that cannot be read are null and listed in missing.
+ * @param {string} projectInformation - The FINAL SUMMARY text
+ * @returns {ProjectDetails} - Typed project details
+ */
+export function parseProjectSummary(projectInformation) {
+  const text = summaryText(projectInformation);
+  const raw = labelledLines(text);
+  const given = (key) =>
+    raw[key] !== undefined && !NOT_GIVEN_PATTERN.test(raw[key])
+      ? raw[key]
+      : null;
+  const labelled = Object.keys(raw).length > 0;
+
+  // Without labels, the whole summary is searched instead
+  const source = (key) => (labelled ? given(key) : text);
+
+  const details = {
+    projectType: given("projectType"),
+    dimensions: parseDimensions(source("dimensions"), labelled),
+    materials: listOf(given("materials")),
+    spaceConstraints: given("spaceConstraints"),
+    setting: classifySetting(source("setting")),
+    deadline: parseDeadline(given("deadline")),
+    hireStart: labelled
+      ? parseDate(given("hireStart"))
+      : parseDate(text, HIRE_START_PATTERN),
+    schedule: classifySchedule(source("schedule")),
+    location: classifyLocation(source("location")),
+    terrain: given("terrain"),
+    constraints: listOf(given("constraints")),
+  };
+
+  return {
+    ...details,
+    missing: PROJECT_FIELDS.map((field) => field.key).filter(
+      (key) => details[key] === null
+    ),
+    raw,
+  };
+}
+
+/**
+ * Render the project details for the recommendation prompt, so the model
+ * sees which details the customer did not give
+ * @param {ProjectDetails} details - Parsed project details
+ * @returns {string} - One line per field
+ */
+export function formatProjectDetails(details) {
+  return PROJECT_FIELDS.map(({ key, label }) => {
+    const value = details[key];
+    if (value === null) {
+      return `- ${label}: ${NOT_GIVEN}`;
+    }
+    if (Array.isArray(value)) {
+      return `- ${label}: ${value.length > 0 ? value.join("; ") : "None"}`;
+    }
+    if (typeof value === "object") {
+      return `- ${label}: ${value.text}`;
+    }
+    return `- ${label}: ${value}`;
+  }).join("\n");
+}
+
+/**
+ * Whether the customer only works at weekends, so every hire spans one
+ * @param {ProjectDetails} details - Parsed project details
+ * @returns {boolean} - True for weekend-only schedules
+ */
+export function worksWeekends(details) {
+  return details?.schedule === "weekends";
+}
+
+/**
+ * Build the catalog search text for a project: the details the customer
+ * gave and the summary's own description of the project. The field labels
+ * and the "Not given" answers are left out, since they are in every
+ * summary and would otherwise match entries that mention them.
+ * @param {string} projectInformation - The FINAL SUMMARY text
+ * @param {ProjectDetails} details - Details parsed from the summary
+ * @returns {string} - Search text
+ */
+export function projectSearchText(projectInformation, details) {
+  const values = PROJECT_FIELDS.filter(({ key }) => key !== "hireStart")
+    .map(({ key }) => details[key])
+    .filter((value) => value !== null)
+    .map((value) => {
+      if (Array.isArray(value)) {
+        return value.join(", ");
+      }
+      return typeof value === "object" ? value.text : value;
+    });
+
+  const description = summaryText(projectInformation)
+    .split(/\r?\n/)
+    .filter((line) => line.trim() && !fieldLine(line));
+  return [...values, ...description].filter(Boolean).join("\n");
+}
+
+/**
+ * Take the text after the summary marker, or the whole text without one
+ * @param {string} projectInformation - The FINAL SUMMARY text
+ * @returns {string} - Summary text
+ */
+function summaryText(projectInformation) {
+  const text = projectInformation || "";
+  const start = text.indexOf(SUMMARY_MARKER);
+  return start === -1 ? text : text.slice(start + SUMMARY_MARKER.length);
+}
+
+/**
+ * Collect the "Label: value" lines for PROJECT_FIELDS, ignoring list
+ * bullets and bold markers
+ * @param {string} text - Summary text
+ * @returns {Object<string, string>} - Value per field key
+ */
+function labelledLines(text) {
+  const raw = {};
+  for (const line of text.split(/\r?\n/)) {
+    const labelled = fieldLine(line);
+    if (labelled && raw[labelled.field.key] === undefined) {
+      raw[labelled.field.key] = labelled.value;
+    }
+  }
+  return raw;
+}
+
+/**
+ * Read a "Label: value" line for one of PROJECT_FIELDS
+ * @param {string} line - Summary line
+ * @returns {{field: Object, value: string}|null} - The field and its text, null for any other line
+ */
+function fieldLine(line) {
+  const match = /^\s*(?:[-*•]|\d+\.)?\s*\**([^:*]+?)\**\s*:\s*\**\s*(.*)$/.exec(
+    line
+  );
+  if (!match) {
+    return null;
+  }
+  const field = PROJECT_FIELDS.find(
+    ({ label }) => label.toLowerCase() === match[1].trim().toLowerCase()
+  );
+  return field ? { field, value: match[2].replace(/\*+$/, "").trim() } : null;
+}
+
+/**
+ * Split a list answer such as "Concrete, brick and timber"
+ * @param {string|null} value - Field text
+ * @returns {string[]|null} - Items, empty for "None", null if not given
+ */
+function listOf(value) {
+  if (value === null) {
+    return null;
+  }
+  if (NONE_PATTERN.test(value)) {
+    return [];
+  }
+  return value
+    .split(/\s*(?:;|,|\band\b)\s*/i)
+    .map((item) => item.replace(/\.$/, "").trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read the sizes from a dimensions answer. A number without a unit takes
+ * the unit of the one after it in "4 x 3 m"; other bare numbers are dropped.
+ * @param {string|null} value - Field text, or the whole summary
+ * @param {boolean} labelled - Whether value is the labelled answer rather than the whole summary
+ * @returns {{text: string, measurements: Measurement[], area: Measurement|null}|null} - Dimensions, null if not given
+ */
+function parseDimensions(value, labelled) {
+  if (value === null) {
+    return null;
+  }
+
+  const matches = [...value.matchAll(MEASUREMENT_PATTERN)];
+  const units = matches.map((match) => normaliseUnit(match[2]));
+  const joined = matches.map(
+    (match, i) =>
+      i + 1 < matches.length &&
+      /^\s*(?:x|×|by)\s*$/i.test(
+        value.slice(match.index + match[0].length, matches[i + 1].index)
+      )
+  );
+  for (let i = matches.length - 2; i >= 0; i--) {
+    if (!units[i] && joined[i]) {
+      units[i] = units[i + 1];
+    }
+  }
+
+  const sized = matches
+    .map((match, i) => ({ value: parseFloat(match[1]), unit: units[i], i }))
+    .filter((measurement) => measurement.unit);
+  if (sized.length === 0 && !labelled) {
+    return null;
+  }
+
+  return {
+    text: labelled ? value : sizesIn(value),
+    measurements: sized.map(({ value: number, unit }) => ({
+      value: number,
+      unit,
+    })),
+    area: parseArea(sized, joined),
+  };
+}
+
+/**
+ * Work out the area from "4 x 3 m" or a size given as an area
+ * @param {Array<{value: number, unit: string, i: number}>} sized - Sizes with their match positions
+ * @param {boolean[]} joined - Whether each match is joined to the next by "x" or "by"
+ * @returns {Measurement|null} - Area in m² or ft², null if not given
+ */
+function parseArea(sized, joined) {
+  const given = sized.find((measurement) =>
+    ["m²", "ft²"].includes(measurement.unit)
+  );
+  if (given) {
+    return { value: given.value, unit: given.unit };
+  }
+
+  const factors = {
+    m: { factor: 1, area: "m²" },
+    cm: { factor: 0.01, area: "m²" },
+    mm: { factor: 0.001, area: "m²" },
+    ft: { factor: 1, area: "ft²" },
+  };
+  for (let k = 0; k + 1 < sized.length; k++) {
+    const [a, b] = [sized[k], sized[k + 1]];
+    const side = factors[a.unit];
+    if (!side || !joined[a.i] || b.i !== a.i + 1 || b.unit !== a.unit) {
+      continue;
+    }
+    const area = a.value * side.factor * b.value * side.factor;
+    return { value: Math.round(area * 100) / 100, unit: side.area };
+  }
+  return null;
+}
+
+/**
+ * Pick the sentences that give sizes out of a prose summary
+ * @param {string} text - Summary text
+ * @returns {string} - Sentences with a size in them
+ */
+function sizesIn(text) {
+  return text
+    .split(/(?<=[.!?])\s+|\n/)
+    .filter((sentence) =>
+      [...sentence.matchAll(MEASUREMENT_PATTERN)].some(([, , unit]) =>
+        normaliseUnit(unit)
+      )
+    )
+    .map((sentence) => sentence.replace(/^\s*[-*•]\s*/, "").trim())
+    .join(" ");
+}
+
+/**
+ * Map a unit as written to the symbol used in ProjectDetails
+ * @param {string} [unit] - Unit text
+ * @returns {string|null} - Unit symbol, null if not recognised
+ */
+function normaliseUnit(unit) {
+  if (!unit) {
+    return null;
+  }
+  const known = UNITS.find(({ pattern }) => pattern.test(unit.trim()));
+  return known ? known.unit : null;
+}
+
+/**
+ * Read a deadline answer, with the date if it names one
+ * @param {string|null} value - Field text
+ * @returns {{text: string, date: string|null}|null} - Deadline, null if not given
+ */
+function parseDeadline(value) {
+  if (value === null || NONE_PATTERN.test(value)) {
+    return value === null ? null : { text: value, date: null };
+  }
+  return { text: value, date: parseDate(value) };
+}
+
+/**
+ * Find a date written as YYYY-MM-DD, DD/MM/YYYY or "12 March 2025"
+ * @param {string|null} value - Text to search
+ * @param {RegExp} [prefix] - Text that must come straight before the date, which must then be YYYY-MM-DD
+ * @returns {string|null} - Date as YYYY-MM-DD, null if there is none
+ */
+function parseDate(value, prefix) {
+  if (value === null) {
+    return null;
+  }
+  const lead = prefix ? prefix.source : "";
+  const flags = "i";
+
+  const iso = new RegExp(`${lead}(\\d{4})-(\\d{2})-(\\d{2})`, flags).exec(
+    value
+  );
+  if (iso || prefix) {
+    return iso ? validDate(iso[1], iso[2], iso[3]) : null;
+  }
+
+  const numeric = /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/.exec(value);
+  if (numeric) {
+    return validDate(numeric[3], numeric[2], numeric[1]);
+  }
+
+  const written = new RegExp(
+    `\\b(\\d{1,2})(?:st|nd|rd|th)? (${MONTHS.join("|")}) (\\d{4})\\b`,
+    flags
+  ).exec(value);
+  if (written) {
+    return validDate(
+      written[3],
+      MONTHS.indexOf(written[2].toLowerCase()) + 1,
+      written[1]
+    );
+  }
+  return null;
+}
+
+/**
+ * Build a YYYY-MM-DD date if the parts make a real day
+ * @param {string|number} year - Year
+ * @param {string|number} month - Month, 1-12
+ * @param {string|number} day - Day of the month
+ * @returns {string|null} - The date, null if it does not exist
+ */
+function validDate(year, month, day) {
+  const date = `${year}-${String(month).padStart(2, "0")}-${String(
+    day
+  ).padStart(2, "0")}`;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date
+    ? date
+    : null;
+}
+
+/**
+ * @param {string|null} value - Setting answer, or the whole summary
+ * @returns {string|null} - One of SETTINGS
+ */
+function classifySetting(value) {
+  if (value === null) {
+    return null;
+  }
+  if (/\bindustrial\b|\bfactory\b|\bwarehouse\b/i.test(value)) {
+    return "industrial";
+  }
+  if (/\bcommercial\b|\boffice\b|\bshop\b|\bretail\b/i.test(value)) {
+    return "commercial";
+  }
+  if (
+    /\bresidential\b|\bdomestic\b|\bhome\b|\bhouse\b|\bgarden\b/i.test(value)
+  ) {
+    return "residential";
+  }
+  return null;
+}
+
+/**
+ * @param {string|null} value - Schedule answer, or the whole summary
+ * @returns {string|null} - One of SCHEDULES
+ */
+function classifySchedule(value) {
+  if (value === null) {
+    return null;
+  }
+  const fullTime = /\bfull[-\s]?time\b|\bevery ?day\b|\bweekdays\b/i.test(
+    value
+  );
+  const weekends = /\bweekends?\b/i.test(value);
+  const evenings = /\bevenings?\b/i.test(value);
+
+  if (fullTime && !weekends && !evenings) {
+    return "full-time";
+  }
+  if (weekends && !evenings && !fullTime) {
+    return "weekends";
+  }
+  if (evenings && !weekends && !fullTime) {
+    return "evenings";
+  }
+  if (weekends || evenings || /\bpart[-\s]?time\b/i.test(value)) {
+    return fullTime ? null : "part-time";
+  }
+  return null;
+}
+
+/**
+ * @param {string|null} value - Location answer, or the whole summary
+ * @returns {string|null} - One of LOCATIONS
+ */
+function classifyLocation(value) {
+  if (value === null) {
+    return null;
+  }
+  const indoor = /\bindoors?\b|\binside\b|\binternal\b/i.test(value);
+  const outdoor = /\boutdoors?\b|\boutside\b|\bexternal\b/i.test(value);
+  if (indoor && outdoor) {
+    return "both";
+  }
+  if (/\bboth\b/i.test(value) && value.length < 40) {
+    return "both";
+  }
+  return indoor ? "indoor" : outdoor ? "outdoor" : null;
+}
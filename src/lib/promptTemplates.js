@@ -0,0 +1,228 @@
+// File: lib/promptTemplates.js
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+
+// Prompt directory, relative to the data directory, unless PROMPT_DIR is set.
+// Each version is a subdirectory holding one file per template.
+export const PROMPT_DIR = "prompts";
+
+// Version every new session gets unless PROMPT_VERSIONS says otherwise
+export const DEFAULT_PROMPT_VERSION = "v1";
+
+/**
+ * Templates every prompt version provides:
+ * gathering - system instructions for the information gathering phase
+ * recommendation - the prompt that asks for the tool recommendation
+ */
+export const PROMPT_NAMES = ["gathering", "recommendation"];
+
+const VERSION_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+const PLACEHOLDER_PATTERN = /\{([a-z][a-z0-9_]*)\}/g;
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/;
+
+/**
+ * A prompt template that is malformed, missing, or filled incorrectly
+ */
+export class PromptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PromptError";
+  }
+}
+
+/**
+ * @typedef {Object} PromptTemplate
+ * @property {string} version - Prompt version, the directory it was read from
+ * @property {string} name - One of PROMPT_NAMES
+ * @property {string} description - What the template is for
+ * @property {string[]} variables - Declared placeholders, each used in the body
+ * @property {string} body - Template text with {variable} placeholders
+ */
+
+/**
+ * Parse a template file: a front matter block declaring the variables,
+ * then the body. Every placeholder in the body must be declared and every
+ * declared variable used, so a typo fails here rather than reaching the
+ * model.
+ *
+ *   ---
+ *   description: What the template is for
+ *   variables: project_information, tool_information
+ *   ---
+ *   Template text with {project_information} and {tool_information}
+ *
+ * @param {string} text - File contents
+ * @param {string} source - File name, for error messages
+ * @returns {{description: string, variables: string[], body: string}} - The parsed template
+ * @throws {PromptError} - When the front matter is missing or does not match the body
+ */
+export function parsePromptTemplate(text, source) {
+  const match = text.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    throw new PromptError(`${source} does not start with a --- block.`);
+  }
+
+  const fields = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(":");
+    if (separator > 0) {
+      fields[line.slice(0, separator).trim()] = line
+        .slice(separator + 1)
+        .trim();
+    }
+  }
+  const variables = (fields.variables || "")
+    .split(",")
+    .map((variable) => variable.trim())
+    .filter(Boolean);
+  const body = text.slice(match[0].length).replace(/^\n+|\n+$/g, "");
+
+  const used = new Set(
+    [...body.matchAll(PLACEHOLDER_PATTERN)].map((placeholder) => placeholder[1])
+  );
+  const undeclared = [...used].filter((name) => !variables.includes(name));
+  if (undeclared.length > 0) {
+    throw new PromptError(
+      `${source} uses undeclared variables: ${undeclared.join(", ")}.`
+    );
+  }
+  const unused = variables.filter((name) => !used.has(name));
+  if (unused.length > 0) {
+    throw new PromptError(
+      `${source} declares variables it does not use: ${unused.join(", ")}.`
+    );
+  }
+
+  return { description: fields.description || "", variables, body };
+}
+
+/**
+ * Read one template of a prompt version
+ * @param {string} version - Prompt version
+ * @param {string} name - One of PROMPT_NAMES
+ * @returns {Promise<PromptTemplate>} - The template
+ * @throws {PromptError} - When the version or template is unknown or malformed
+ */
+export async function loadPromptTemplate(version, name) {
+  if (!VERSION_PATTERN.test(version) || !PROMPT_NAMES.includes(name)) {
+    throw new PromptError(`Unknown prompt template ${version}/${name}.`);
+  }
+
+  const file = path.join(promptDir(), version, `${name}.txt`);
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new PromptError(`Prompt version ${version} has no ${name}.txt.`);
+    }
+    throw error;
+  }
+  return {
+    version,
+    name,
+    ...parsePromptTemplate(text, `${version}/${name}.txt`),
+  };
+}
+
+/**
+ * Fill a template's placeholders. Values are inserted as they are, so text
+ * from the customer that looks like a placeholder is left alone.
+ * @param {PromptTemplate} template - The template
+ * @param {Object<string, string>} values - A value for every declared variable
+ * @returns {string} - The prompt
+ * @throws {PromptError} - When a declared variable has no value, or a value is given for an undeclared one
+ */
+export function renderPrompt(template, values) {
+  const source = `${template.version}/${template.name}.txt`;
+  const missing = template.variables.filter(
+    (name) => typeof values[name] !== "string"
+  );
+  if (missing.length > 0) {
+    throw new PromptError(`No value for ${missing.join(", ")} in ${source}.`);
+  }
+  const extra = Object.keys(values).filter(
+    (name) => !template.variables.includes(name)
+  );
+  if (extra.length > 0) {
+    throw new PromptError(`${source} does not declare ${extra.join(", ")}.`);
+  }
+
+  return template.body.replace(PLACEHOLDER_PATTERN, (_, name) => values[name]);
+}
+
+/**
+ * List the prompt versions on disk
+ * @returns {Promise<string[]>} - Version names, sorted
+ */
+export async function listPromptVersions() {
+  const entries = await fs.readdir(promptDir(), { withFileTypes: true });
+  return entries
+    .filter((entry) => entry.isDirectory() && VERSION_PATTERN.test(entry.name))
+    .map((entry) => entry.name)
+    .sort();
+}
+
+/**
+ * Read the weights new sessions are assigned prompt versions by, from
+ * PROMPT_VERSIONS, e.g. "v1:80,v2:20". A version without a weight gets 1.
+ * @param {Object} [env] - Configuration, process.env by default
+ * @returns {Array<{version: string, weight: number}>} - Versions with positive weights
+ * @throws {PromptError} - When PROMPT_VERSIONS is malformed
+ */
+export function getPromptWeights(env = process.env) {
+  const setting = (env.PROMPT_VERSIONS || "").trim();
+  if (!setting) {
+    return [{ version: DEFAULT_PROMPT_VERSION, weight: 1 }];
+  }
+
+  const weights = setting.split(",").map((part) => {
+    const [version, weight = "1"] = part.split(":").map((s) => s.trim());
+    const value = Number(weight);
+    if (!VERSION_PATTERN.test(version) || !(value >= 0)) {
+      throw new PromptError(
+        `Invalid PROMPT_VERSIONS entry "${part.trim()}". Expected version:weight.`
+      );
+    }
+    return { version, weight: value };
+  });
+  const active = weights.filter(({ weight }) => weight > 0);
+  if (active.length === 0) {
+    throw new PromptError("PROMPT_VERSIONS gives no version a weight.");
+  }
+  return active;
+}
+
+/**
+ * Pick a session's prompt version by the configured weights. The pick is
+ * worked out from the session id, so the same session always gets the
+ * same version under the same weights.
+ * @param {string} sessionId - The new session
+ * @param {Object} [env] - Configuration, process.env by default
+ * @returns {string} - Prompt version
+ */
+export function assignPromptVersion(sessionId, env = process.env) {
+  const weights = getPromptWeights(env);
+  const total = weights.reduce((sum, { weight }) => sum + weight, 0);
+
+  // A number in [0, 1) from the id, spread evenly across sessions
+  const hash = createHash("sha256").update(sessionId).digest();
+  let point = (hash.readUInt32BE(0) / 2 ** 32) * total;
+
+  for (const { version, weight } of weights) {
+    if (point < weight) {
+      return version;
+    }
+    point -= weight;
+  }
+  return weights[weights.length - 1].version;
+}
+
+/**
+ * Resolve the prompt directory
+ * @returns {string} - Absolute path
+ */
+function promptDir() {
+  return process.env.PROMPT_DIR || path.join(process.cwd(), "data", PROMPT_DIR);
+}
@@ -0,0 +1,329 @@
+// File: lib/rateLimit/index.js
+import { ERROR_CODES } from "../apiErrors.js";
+import { createMemoryRateLimitStore } from "./memory.js";
+
+/**
+ * Stores that can be chosen with the RATE_LIMIT_STORE environment variable
+ */
+export const RATE_LIMIT_STORES = {
+  memory: createMemoryRateLimitStore,
+};
+
+export const DEFAULT_RATE_LIMIT_STORE = "memory";
+
+/**
+ * Limits used when the environment variable for one is not set. Setting a
+ * variable to 0 turns that limit off.
+ */
+export const DEFAULT_RATE_LIMITS = {
+  clientPerMinute: 30, // RATE_LIMIT_IP_PER_MINUTE: requests from one address
+  sessionPerMinute: 10, // RATE_LIMIT_SESSION_PER_MINUTE: requests in one conversation
+  turnsPerSession: 40, // RATE_LIMIT_TURNS_PER_SESSION: model replies in one conversation
+  sessionsPerHour: 20, // RATE_LIMIT_SESSIONS_PER_HOUR: new conversations from one address
+  tokensPerDay: 500000, // RATE_LIMIT_TOKENS_PER_DAY: estimated tokens for one address, per UTC day
+};
+
+const LIMIT_VARIABLES = {
+  clientPerMinute: "RATE_LIMIT_IP_PER_MINUTE",
+  sessionPerMinute: "RATE_LIMIT_SESSION_PER_MINUTE",
+  turnsPerSession: "RATE_LIMIT_TURNS_PER_SESSION",
+  sessionsPerHour: "RATE_LIMIT_SESSIONS_PER_HOUR",
+  tokensPerDay: "RATE_LIMIT_TOKENS_PER_DAY",
+};
+
+// Proxies in front of the app that append to X-Forwarded-For, unless
+// RATE_LIMIT_TRUSTED_PROXIES says otherwise
+export const DEFAULT_TRUSTED_PROXIES = 1;
+
+/**
+ * Headers the client's address can be read from, chosen with
+ * RATE_LIMIT_ADDRESS_HEADER. X-Real-IP is only safe when the proxy in front
+ * of the app always sets it, replacing any the client sent.
+ */
+export const ADDRESS_HEADERS = ["x-forwarded-for", "x-real-ip"];
+
+// Limits counted per client address, which need an address to count by
+const ADDRESS_LIMITS = ["clientPerMinute", "tokensPerDay", "sessionsPerHour"];
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Error for a client over one of its limits, with the seconds until it can
+ * try again
+ */
+export class RateLimitError extends Error {
+  /**
+   * @param {string} message - What went wrong, shown to the customer
+   * @param {string} code - One of ERROR_CODES, which sets the HTTP status
+   * @param {number} retryAfter - Seconds until the limit resets
+   */
+  constructor(message, code, retryAfter) {
+    super(message);
+    this.name = "RateLimitError";
+    this.code = code;
+    this.status = ERROR_CODES[code].status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * @typedef {Object} RateLimitStore
+ * @property {string} name - RATE_LIMIT_STORES key
+ * @property {function(string): Promise<{total: number, resetAt: number}|null>} get - Read a counter in its current window
+ * @property {function(string, number, number): Promise<{total: number, resetAt: number}>} hit - Add to a counter, starting a window of the given milliseconds if it has none
+ */
+
+// Stores are reused between requests while the configuration is the same
+let cached = null;
+
+/**
+ * Get the store chosen by configuration
+ * @param {Object} [env] - Configuration, process.env by default
+ * @returns {RateLimitStore} - The store
+ */
+export function getRateLimitStore(env = process.env) {
+  const name = (env.RATE_LIMIT_STORE || DEFAULT_RATE_LIMIT_STORE)
+    .trim()
+    .toLowerCase();
+  if (!RATE_LIMIT_STORES[name]) {
+    throw new Error(
+      `Unknown RATE_LIMIT_STORE "${name}". Expected one of: ${Object.keys(
+        RATE_LIMIT_STORES
+      ).join(", ")}.`
+    );
+  }
+
+  if (!cached || cached.name !== name || cached.env !== env) {
+    cached = { name, env, store: RATE_LIMIT_STORES[name](env) };
+  }
+  return cached.store;
+}
+
+/**
+ * Read the limits from configuration
+ * @param {Object} [env] - Configuration, process.env by default
+ * @returns {typeof DEFAULT_RATE_LIMITS} - The limits; 0 means no limit
+ */
+export function getRateLimits(env = process.env) {
+  const limits = {};
+  for (const [limit, variable] of Object.entries(LIMIT_VARIABLES)) {
+    const value = parseInt(env[variable] ?? "", 10);
+    limits[limit] = isNaN(value) ? DEFAULT_RATE_LIMITS[limit] : value;
+  }
+  return limits;
+}
+
+/**
+ * Check that the client's address can be worked out while any limit is
+ * counted per address. Route handlers are not given the socket address, so
+ * it has to come from a trusted proxy; without one every customer would
+ * share one set of limits.
+ * @param {Object} [env] - Configuration, process.env by default
+ * @throws {Error} - When the configuration gives no usable address
+ */
+export function checkAddressSource(env = process.env) {
+  const header = addressHeader(env);
+  if (!ADDRESS_HEADERS.includes(header)) {
+    throw new Error(
+      `Unknown RATE_LIMIT_ADDRESS_HEADER "${header}". Expected one of: ${ADDRESS_HEADERS.join(
+        ", "
+      )}.`
+    );
+  }
+
+  const limits = getRateLimits(env);
+  if (
+    trustedProxies(env) <= 0 &&
+    ADDRESS_LIMITS.some((limit) => limits[limit] > 0)
+  ) {
+    throw new Error(
+      "RATE_LIMIT_TRUSTED_PROXIES is 0, so client addresses cannot be told apart. Set it to the number of proxies in front of the app, or set RATE_LIMIT_IP_PER_MINUTE, RATE_LIMIT_TOKENS_PER_DAY and RATE_LIMIT_SESSIONS_PER_HOUR to 0."
+    );
+  }
+}
+
+/**
+ * Work out who sent a request. Each trusted proxy appends the address it
+ * was reached from to X-Forwarded-For, so the client's is the one the
+ * outermost proxy added: counting RATE_LIMIT_TRUSTED_PROXIES entries from
+ * the right. Anything further left was sent by the client and could be
+ * made up. Requests that did not come through every proxy have no address
+ * that can be trusted, and share the "unknown" client.
+ * @param {Headers} headers - Request headers
+ * @param {Object} [env] - Configuration, process.env by default
+ * @returns {string} - The client's address, or "unknown"
+ * @throws {Error} - When the configuration gives no usable address, as for checkAddressSource
+ */
+export function clientAddress(headers, env = process.env) {
+  checkAddressSource(env);
+  const proxies = trustedProxies(env);
+  if (proxies <= 0) {
+    // No limit is counted per address
+    return "unknown";
+  }
+
+  if (addressHeader(env) === "x-real-ip") {
+    return headers.get("x-real-ip")?.trim() || "unknown";
+  }
+  const forwarded = (headers.get("x-forwarded-for") || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+  return forwarded.length >= proxies
+    ? forwarded[forwarded.length - proxies]
+    : "unknown";
+}
+
+/**
+ * Count a request from a client, and refuse it if the client is sending
+ * too many or has spent its tokens for the day
+ * @param {string} client - Address from clientAddress
+ * @throws {RateLimitError} - RATE_LIMITED or TOKEN_BUDGET_EXHAUSTED
+ */
+export async function checkClientLimits(client) {
+  const store = getRateLimitStore();
+  const limits = getRateLimits();
+
+  if (limits.clientPerMinute > 0) {
+    const counter = await store.hit(`ip:${client}`, 1, MINUTE_MS);
+    if (counter.total > limits.clientPerMinute) {
+      throw new RateLimitError(
+        "Too many requests. Please wait a moment and try again.",
+        "RATE_LIMITED",
+        secondsUntil(counter.resetAt)
+      );
+    }
+  }
+
+  if (limits.tokensPerDay > 0) {
+    const counter = await store.get(tokenKey(client));
+    if (counter && counter.total >= limits.tokensPerDay) {
+      throw new RateLimitError(
+        "The daily usage limit has been reached. Please come back tomorrow.",
+        "TOKEN_BUDGET_EXHAUSTED",
+        secondsUntil(counter.resetAt)
+      );
+    }
+  }
+}
+
+/**
+ * Count a new conversation from a client, and refuse it if the client is
+ * starting too many. Without this a client could dodge the conversation
+ * limits by leaving out the session id on every request.
+ * @param {string} client - Address from clientAddress
+ * @throws {RateLimitError} - RATE_LIMITED
+ */
+export async function checkNewSessionLimits(client) {
+  const limits = getRateLimits();
+  if (limits.sessionsPerHour <= 0) {
+    return;
+  }
+
+  const counter = await getRateLimitStore().hit(
+    `sessions:${client}`,
+    1,
+    HOUR_MS
+  );
+  if (counter.total > limits.sessionsPerHour) {
+    throw new RateLimitError(
+      "Too many new projects. Please carry on with an existing one or try again later.",
+      "RATE_LIMITED",
+      secondsUntil(counter.resetAt)
+    );
+  }
+}
+
+/**
+ * Count a turn of a conversation, and refuse it if the conversation is
+ * moving too fast or has had all its turns
+ * @param {string} sessionId - The conversation
+ * @throws {RateLimitError} - RATE_LIMITED or TURN_LIMIT_REACHED
+ */
+export async function checkSessionLimits(sessionId) {
+  const store = getRateLimitStore();
+  const limits = getRateLimits();
+
+  if (limits.sessionPerMinute > 0) {
+    const counter = await store.hit(`session:${sessionId}`, 1, MINUTE_MS);
+    if (counter.total > limits.sessionPerMinute) {
+      throw new RateLimitError(
+        "Too many messages in this conversation. Please wait a moment and try again.",
+        "RATE_LIMITED",
+        secondsUntil(counter.resetAt)
+      );
+    }
+  }
+
+  if (limits.turnsPerSession > 0) {
+    // Sessions expire after a day without a message, so a day's count
+    // covers the conversation
+    const counter = await store.hit(`turns:${sessionId}`, 1, DAY_MS);
+    if (counter.total > limits.turnsPerSession) {
+      throw new RateLimitError(
+        "This conversation has reached its message limit. Please start a new project.",
+        "TURN_LIMIT_REACHED",
+        secondsUntil(counter.resetAt)
+      );
+    }
+  }
+}
+
+/**
+ * Charge tokens to a client's daily budget. Failures are logged rather
+ * than thrown, since the reply has already been paid for.
+ * @param {string} client - Address from clientAddress
+ * @param {number} tokens - Estimated tokens spent
+ */
+export async function spendTokens(client, tokens) {
+  if (getRateLimits().tokensPerDay <= 0 || tokens <= 0) {
+    return;
+  }
+  try {
+    const midnight = new Date().setUTCHours(24, 0, 0, 0);
+    await getRateLimitStore().hit(
+      tokenKey(client),
+      tokens,
+      midnight - Date.now()
+    );
+  } catch (error) {
+    console.error(`Error recording token usage for ${client}:`, error);
+  }
+}
+
+/**
+ * @param {Object} env - Configuration
+ * @returns {number} - Proxies in front of the app, from RATE_LIMIT_TRUSTED_PROXIES
+ */
+function trustedProxies(env) {
+  const value = parseInt(env.RATE_LIMIT_TRUSTED_PROXIES ?? "", 10);
+  return isNaN(value) ? DEFAULT_TRUSTED_PROXIES : value;
+}
+
+/**
+ * @param {Object} env - Configuration
+ * @returns {string} - One of ADDRESS_HEADERS, from RATE_LIMIT_ADDRESS_HEADER
+ */
+function addressHeader(env) {
+  return (env.RATE_LIMIT_ADDRESS_HEADER || ADDRESS_HEADERS[0])
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * @param {string} client - Address from clientAddress
+ * @returns {string} - Counter key for the client's tokens today
+ */
+function tokenKey(client) {
+  return `tokens:${client}:${new Date().toISOString().slice(0, 10)}`;
+}
+
+/**
+ * @param {number} time - Epoch milliseconds
+ * @returns {number} - Whole seconds from now until then, at least 1
+ */
+function secondsUntil(time) {
+  return Math.max(1, Math.ceil((time - Date.now()) / 1000));
+}
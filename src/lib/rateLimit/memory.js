@@ -0,0 +1,60 @@
+// File: lib/rateLimit/memory.js
+
+// Counters kept before the oldest ones are dropped
+export const DEFAULT_MAX_COUNTERS = 100000;
+
+/**
+ * Keeps counters in this process. They are lost on restart and each server
+ * instance counts on its own. RATE_LIMIT_MAX_COUNT caps how many are kept,
+ * dropping expired counters first and then the oldest.
+ * @param {Object} env - Configuration
+ * @returns {import("./index.js").RateLimitStore} - The store
+ */
+export function createMemoryRateLimitStore(env) {
+  const maxCounters =
+    parseInt(env.RATE_LIMIT_MAX_COUNT || "", 10) || DEFAULT_MAX_COUNTERS;
+  const counters = new Map();
+
+  const current = (key) => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  };
+
+  const prune = () => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    }
+    while (counters.size > maxCounters) {
+      counters.delete(counters.keys().next().value);
+    }
+  };
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const counter = current(key);
+      return counter ? { ...counter } : null;
+    },
+
+    async hit(key, amount, windowMs) {
+      let counter = current(key);
+      if (!counter) {
+        counter = { total: 0, resetAt: Date.now() + windowMs };
+        counters.set(key, counter);
+        if (counters.size > maxCounters) {
+          prune();
+        }
+      }
+      counter.total += amount;
+      return { ...counter };
+    },
+  };
+}
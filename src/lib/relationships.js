@@ -0,0 +1,340 @@
+// File: lib/relationships.js
+import { promises as fs } from "fs";
+import path from "path";
+
+// Relationships file, relative to the data directory, unless RELATIONSHIPS_FILE is set
+export const RELATIONSHIPS_FILE = "relationships.json";
+
+/**
+ * How one catalog entry depends on another entry or on a consumable:
+ * requires - it cannot be used without it
+ * recommends - it is usually hired with it
+ * consumes - it uses it up and the customer buys it
+ */
+export const LINK_TYPES = ["requires", "recommends", "consumes"];
+
+// Amounts the customer may give in the project summary, per usage measure.
+// The first group is the number and the second marks thousands. A number
+// after the word only counts when nothing follows it, as in "Nails: about
+// 3,000", so "Nails: 3 boxes" is not read as three nails.
+const MEASURE_PATTERNS = {
+  fixings: [
+    /(\d[\d,]*(?:\.\d+)?)\s*(k\b|thousand\b)?\s*(?:fixings|nails|fixing points)\b/i,
+    /\b(?:fixings|nails)(?:\s+(?:needed|required))?\s*[:=-]?\s*(?:about|around|approx\.?|approximately|roughly|~)?\s*(\d[\d,]*(?:\.\d+)?)\s*(k\b|thousand\b)?(?=\s*(?:$|[.;)]|,\s|in total\b))/im,
+  ],
+};
+
+/**
+ * @typedef {Object} Consumable
+ * @property {string} name - Display name
+ * @property {string} unit - Singular unit, e.g. "fuel cell"
+ * @property {string} units - Plural unit, e.g. "fuel cells"
+ */
+
+/**
+ * @typedef {Object} RelationshipLink
+ * @property {string} from - Catalog entry id that has the dependency
+ * @property {string} type - One of LINK_TYPES
+ * @property {string} [entry] - Catalog entry id depended on
+ * @property {string} [consumable] - Consumable id depended on
+ * @property {{measure: string, spec?: string, per: number}} [usage] - One unit is used per this many of the measure; spec names the catalog specification to read the figure from first
+ * @property {string} [note] - Shown next to the companion
+ */
+
+/**
+ * @typedef {Object} Relationships
+ * @property {Object<string, Consumable>} consumables - Consumables keyed by id
+ * @property {RelationshipLink[]} links - Links between entries and consumables
+ */
+
+/**
+ * @typedef {Object} Companions
+ * @property {Array<{id: string, productName: string, url: string|null, for: string[], notes: string[], days: number|null, overWeekend: boolean}>} required - Entries the recommended tools cannot be used without
+ * @property {Array<{id: string, productName: string, url: string|null, for: string[], notes: string[]}>} recommended - Entries usually hired alongside
+ * @property {Array<{id: string, name: string, for: string[], quantity: number|null, unit: string, basis: string|null, notes: string[]}>} consumables - Consumables to buy, with estimated quantities
+ */
+
+/**
+ * Read the relationships file
+ * @returns {Promise<Relationships>} - Consumables and links, empty if there is no file
+ */
+export async function getRelationships() {
+  let text;
+  try {
+    text = await fs.readFile(relationshipsPath(), "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { consumables: {}, links: [] };
+    }
+    console.error(`Error reading from ${relationshipsPath()}:`, error);
+    throw error;
+  }
+
+  const relationships = JSON.parse(text);
+  return {
+    consumables: relationships.consumables || {},
+    links: relationships.links || [],
+  };
+}
+
+/**
+ * Check the relationships against the catalog
+ * @param {Relationships} relationships - Parsed relationships file
+ * @param {Object<string, import("./catalog.js").CatalogEntry>} entriesById - Catalog entries keyed by id
+ * @returns {string[]} - Problems found, one per link
+ */
+export function checkRelationships(relationships, entriesById) {
+  const problems = [];
+
+  relationships.links.forEach((link, index) => {
+    const where = `Link ${index + 1} (${link.from || "no from"})`;
+    if (!entriesById[link.from]) {
+      problems.push(`${where}: no catalog entry with id "${link.from}".`);
+    }
+    if (!LINK_TYPES.includes(link.type)) {
+      problems.push(`${where}: unknown link type "${link.type}".`);
+    }
+    if (!link.entry === !link.consumable) {
+      problems.push(`${where}: give exactly one of entry or consumable.`);
+    } else if (link.entry && !entriesById[link.entry]) {
+      problems.push(`${where}: no catalog entry with id "${link.entry}".`);
+    } else if (link.consumable && !relationships.consumables[link.consumable]) {
+      problems.push(`${where}: no consumable with id "${link.consumable}".`);
+    }
+    if (link.consumable && link.type !== "consumes") {
+      problems.push(`${where}: consumables can only be linked as consumes.`);
+    }
+    if (
+      link.usage &&
+      (!MEASURE_PATTERNS[link.usage.measure] || !(link.usage.per > 0))
+    ) {
+      problems.push(
+        `${where}: usage needs a known measure and a positive per figure.`
+      );
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Work out the companions and consumables for a set of recommended tools.
+ * Required entries the model did not recommend take the hire length of
+ * the tool that needs them.
+ * @param {Object} catalog - Loaded catalog from getCatalog
+ * @param {Relationships} relationships - Parsed relationships file
+ * @param {Array} tools - Tools collected by the link rewriter
+ * @param {string} projectInformation - The FINAL SUMMARY text
+ * @returns {Companions} - Required and recommended entries, and consumables
+ */
+export function findCompanions(
+  catalog,
+  relationships,
+  tools,
+  projectInformation
+) {
+  const recommendedIds = new Set(tools.map((tool) => tool.id));
+  const amounts = parseProjectAmounts(projectInformation);
+  const required = new Map();
+  const recommended = new Map();
+  const consumables = new Map();
+
+  // Add a tool to a companion list, merging with earlier links to it
+  const collect = (list, key, create, tool, note) => {
+    if (!list.has(key)) {
+      list.set(key, { ...create(), for: [], notes: [] });
+    }
+    const item = list.get(key);
+    if (!item.for.includes(tool.productName)) {
+      item.for.push(tool.productName);
+    }
+    if (note && !item.notes.includes(note)) {
+      item.notes.push(note);
+    }
+    return item;
+  };
+
+  for (const tool of tools) {
+    const entry = catalog.entriesById[tool.id];
+    for (const link of relationships.links) {
+      if (link.from !== tool.id) {
+        continue;
+      }
+
+      if (link.entry) {
+        const companion = catalog.entriesById[link.entry];
+        if (!companion || recommendedIds.has(link.entry)) {
+          continue;
+        }
+        const create = () => ({
+          id: companion.id,
+          productName: companion.productName,
+          url: catalog.urlsById[companion.id] || null,
+        });
+        if (link.type === "requires") {
+          const item = collect(
+            required,
+            companion.id,
+            () => ({ ...create(), days: null, overWeekend: false }),
+            tool,
+            link.note
+          );
+          // Hire it for as long as the longest tool that needs it
+          if (tool.days && !(item.days >= tool.days)) {
+            item.days = tool.days;
+            item.overWeekend = !!tool.overWeekend;
+          }
+        } else {
+          collect(recommended, companion.id, create, tool, link.note);
+        }
+        continue;
+      }
+
+      const consumable = relationships.consumables[link.consumable];
+      if (!consumable) {
+        continue;
+      }
+      const item = collect(
+        consumables,
+        link.consumable,
+        () => ({
+          id: link.consumable,
+          name: consumable.name,
+          quantity: null,
+          unit: consumable.units,
+          basis: null,
+        }),
+        tool,
+        link.note
+      );
+
+      const per = link.usage && usageRate(entry, link.usage);
+      const amount = link.usage && amounts[link.usage.measure];
+      if (per && amount) {
+        // Each tool uses its own supply
+        item.quantity = (item.quantity || 0) + Math.ceil(amount / per);
+        item.unit = item.quantity === 1 ? consumable.unit : consumable.units;
+        item.basis = `${formatNumber(amount)} ${link.usage.measure}${
+          per > 1 ? `, about ${formatNumber(per)} per ${consumable.unit}` : ""
+        }`;
+      } else if (per > 1 && !item.basis) {
+        item.basis = `about ${formatNumber(per)} ${link.usage.measure} per ${
+          consumable.unit
+        }`;
+      }
+    }
+  }
+
+  return {
+    required: [...required.values()],
+    recommended: [...recommended.values()].filter(
+      (item) => !required.has(item.id)
+    ),
+    consumables: [...consumables.values()],
+  };
+}
+
+/**
+ * Read the amounts a consumable estimate can be based on from the project
+ * summary, e.g. "approximately 2,500 fixings"
+ * @param {string} projectInformation - The FINAL SUMMARY text
+ * @returns {Object<string, number>} - Amount per usage measure
+ */
+export function parseProjectAmounts(projectInformation) {
+  const amounts = {};
+  for (const [measure, patterns] of Object.entries(MEASURE_PATTERNS)) {
+    for (const pattern of patterns) {
+      const match = pattern.exec(projectInformation || "");
+      if (!match) {
+        continue;
+      }
+      const value = parseFloat(match[1].replace(/,/g, ""));
+      if (value > 0) {
+        amounts[measure] = Math.round(value * (match[2] ? 1000 : 1));
+        break;
+      }
+    }
+  }
+  return amounts;
+}
+
+/**
+ * Render the companions as markdown for the recommendation text
+ * @param {Companions} companions - Result of findCompanions
+ * @returns {string} - Markdown section, or an empty string if there are none
+ */
+export function formatCompanions(companions) {
+  const { required, recommended, consumables } = companions;
+  if (
+    required.length === 0 &&
+    recommended.length === 0 &&
+    consumables.length === 0
+  ) {
+    return "";
+  }
+
+  const name = (item) =>
+    item.url ? `[${item.productName}](${item.url})` : item.productName;
+  const notes = (item) =>
+    item.notes.length > 0 ? ` ${item.notes.join(" ")}` : "";
+
+  const lines = ["## Companions and Consumables", ""];
+  for (const item of required) {
+    lines.push(
+      `- **Required:** ${name(item)} for ${item.for.join(", ")}.${notes(item)}`
+    );
+  }
+  for (const item of recommended) {
+    lines.push(
+      `- Also consider: ${name(item)} for ${item.for.join(", ")}.${notes(item)}`
+    );
+  }
+  for (const item of consumables) {
+    const quantity =
+      item.quantity !== null
+        ? `about ${formatNumber(item.quantity)} ${item.unit} (${item.basis})`
+        : item.basis
+        ? `quantity depends on the job, ${item.basis}`
+        : "quantity depends on the job";
+    lines.push(
+      `- To buy: ${item.name} for ${item.for.join(", ")}: ${quantity}.${notes(
+        item
+      )}`
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * How much of the measure one unit of a consumable covers, preferring the
+ * figure in the tool's own specifications
+ * @param {import("./catalog.js").CatalogEntry} entry - Tool that uses the consumable
+ * @param {{measure: string, spec?: string, per: number}} usage - Usage from the link
+ * @returns {number} - Amount per unit
+ */
+function usageRate(entry, usage) {
+  const value = usage.spec && entry?.specs[usage.spec];
+  const match = value && /(\d[\d,]*(?:\.\d+)?)/.exec(value);
+  const fromSpec = match ? parseFloat(match[1].replace(/,/g, "")) : 0;
+  return fromSpec > 0 ? fromSpec : usage.per;
+}
+
+/**
+ * @param {number} value - Number to show
+ * @returns {string} - e.g. "1,100"
+ */
+function formatNumber(value) {
+  return value.toLocaleString("en-GB");
+}
+
+/**
+ * Resolve the relationships file
+ * @returns {string} - Absolute path
+ */
+function relationshipsPath() {
+  return (
+    process.env.RELATIONSHIPS_FILE ||
+    path.join(process.cwd(), "data", RELATIONSHIPS_FILE)
+  );
+}
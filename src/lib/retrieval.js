@@ -0,0 +1,208 @@
+// File: lib/retrieval.js
+
+// BM25 tuning constants
+const K1 = 1.2;
+const B = 0.75;
+
+// How strongly each entry field counts towards a match
+const FIELD_WEIGHTS = {
+  productName: 3,
+  subcategory: 3,
+  mainCategory: 2,
+  description: 1,
+  keyFunctions: 1,
+  usageRecommendations: 1,
+};
+
+/**
+ * Categories that are always considered, because the recommendation prompt
+ * asks the model to check for them on every project
+ */
+export const MANDATORY_CATEGORIES = [
+  {
+    mainCategories: ["Sawing & Cutting", "Cut & Grind"],
+    count: 2,
+    reason: "cutting tools",
+  },
+];
+
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be been but by can could do does for from has have " +
+    "how i if in into is it its me my no not of on or our so some such that " +
+    "the their them then there these they this to up was we were what when " +
+    "which while who will with would you your yes about also any need needs " +
+    "project customer summary final information"
+  ).split(" ")
+);
+
+/**
+ * @typedef {Object} CatalogIndex
+ * @property {Array<{entry: Object, terms: Map<string, number>, length: number}>} docs - Indexed entries
+ * @property {Map<string, number>} documentFrequency - Number of entries containing each term
+ * @property {number} averageLength - Average weighted document length
+ */
+
+/**
+ * @typedef {Object} RetrievalSelection
+ * @property {string} id - Catalog entry id
+ * @property {string} productName - Product name
+ * @property {number} score - BM25 score against the query
+ * @property {string} reason - "match" or the mandatory category reason
+ */
+
+/**
+ * Build a BM25 index over the catalog entries
+ * @param {import("./catalog.js").CatalogEntry[]} entries - Parsed catalog entries
+ * @returns {CatalogIndex} - The search index
+ */
+export function buildIndex(entries) {
+  const documentFrequency = new Map();
+
+  const docs = entries.map((entry) => {
+    const terms = new Map();
+    let length = 0;
+
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const value = entry[field];
+      const text = Array.isArray(value) ? value.join(" ") : value || "";
+      for (const term of tokenize(text)) {
+        terms.set(term, (terms.get(term) || 0) + weight);
+        length += weight;
+      }
+    }
+
+    for (const term of terms.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+
+    return { entry, terms, length };
+  });
+
+  const totalLength = docs.reduce((sum, doc) => sum + doc.length, 0);
+
+  return {
+    docs,
+    documentFrequency,
+    averageLength: docs.length > 0 ? totalLength / docs.length : 0,
+  };
+}
+
+/**
+ * Score every entry against a free-text query
+ * @param {CatalogIndex} index - The search index
+ * @param {string} query - Free-text query
+ * @returns {Array<{entry: Object, score: number}>} - Entries with a positive score, best first
+ */
+export function searchIndex(index, query) {
+  const queryTerms = new Set(tokenize(query));
+  const total = index.docs.length;
+
+  return index.docs
+    .map((doc) => {
+      let score = 0;
+      for (const term of queryTerms) {
+        const frequency = doc.terms.get(term);
+        if (!frequency) {
+          continue;
+        }
+        const df = index.documentFrequency.get(term);
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        score +=
+          (idf * frequency * (K1 + 1)) /
+          (frequency + K1 * (1 - B + (B * doc.length) / index.averageLength));
+      }
+      return { entry: doc.entry, score };
+    })
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Pick the catalog entries to put in front of the model for a project
+ * @param {CatalogIndex} index - The search index
+ * @param {string} projectInformation - The FINAL SUMMARY text
+ * @param {Object} [options] - Selection options
+ * @param {number} [options.limit=12] - Maximum number of matched entries
+ * @param {Array} [options.mandatoryCategories] - Categories always included
+ * @returns {{entries: Object[], selections: RetrievalSelection[]}} - Selected entries and why each was chosen
+ */
+export function selectEntries(index, projectInformation, options = {}) {
+  const { limit = 12, mandatoryCategories = MANDATORY_CATEGORIES } = options;
+  const results = searchIndex(index, projectInformation);
+  const selections = [];
+  const chosen = new Set();
+
+  const choose = (entry, score, reason) => {
+    if (chosen.has(entry.id)) {
+      return;
+    }
+    chosen.add(entry.id);
+    selections.push({
+      id: entry.id,
+      productName: entry.productName,
+      score: Math.round(score * 100) / 100,
+      reason,
+    });
+  };
+
+  for (const { entry, score } of results.slice(0, limit)) {
+    choose(entry, score, "match");
+  }
+
+  // Top up each mandatory category with its best-scoring entries, falling
+  // back to catalog order when nothing in the category matched the query
+  const scores = new Map(
+    results.map((result) => [result.entry.id, result.score])
+  );
+  for (const category of mandatoryCategories) {
+    const candidates = index.docs
+      .map((doc) => doc.entry)
+      .filter((entry) => category.mainCategories.includes(entry.mainCategory))
+      .sort((a, b) => (scores.get(b.id) || 0) - (scores.get(a.id) || 0));
+
+    for (const entry of candidates.slice(0, category.count)) {
+      choose(entry, scores.get(entry.id) || 0, category.reason);
+    }
+  }
+
+  const entriesById = new Map(
+    index.docs.map((doc) => [doc.entry.id, doc.entry])
+  );
+  return {
+    entries: selections.map((selection) => entriesById.get(selection.id)),
+    selections,
+  };
+}
+
+/**
+ * Split text into lowercase, lightly stemmed search terms
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} - Search terms
+ */
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Reduce common English suffixes so "breaking", "breaker" and "breakers" match
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stemmed word
+ */
+function stem(word) {
+  if (word.length <= 4 || /\d/.test(word)) {
+    return word;
+  }
+
+  const stemmed = word.replace(/(?:ings?|ers?|ed|s)$/, "");
+  if (stemmed.length < 3) {
+    return word;
+  }
+
+  // "cutting" -> "cutt" -> "cut"
+  return stemmed.replace(/([b-df-hj-np-tv-z])\1$/, "$1");
+}
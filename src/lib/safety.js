@@ -0,0 +1,60 @@
+// File: lib/safety.js
+import { PPE_TAGS } from "./catalog.js";
+import { isPlaceholder } from "./catalogLint.js";
+
+/**
+ * Display names for the PPE tags used in the catalog
+ */
+export const PPE_LABELS = {
+  "eye-protection": "Eye protection",
+  "face-protection": "Face protection",
+  "ear-protection": "Ear protection",
+  "dust-mask": "Dust mask",
+  "safety-boots": "Safety boots",
+  "safety-gloves": "Safety gloves",
+  "safety-helmet": "Safety helmet",
+};
+
+/**
+ * @typedef {Object} SafetyChecklist
+ * @property {Array<{tag: string, label: string, tools: string[]}>} ppe - Each PPE item once, with the tools that need it
+ * @property {Array<{id: string, productName: string, notes: string[]}>} tools - Safety notes per tool
+ * @property {string[]} toolsWithoutPpe - Tools with no PPE listed in the catalog
+ */
+
+/**
+ * Combine the PPE tags and safety notes of the recommended tools
+ * @param {import("./catalog.js").CatalogEntry[]} entries - Recommended catalog entries
+ * @returns {SafetyChecklist} - De-duplicated checklist
+ */
+export function buildSafetyChecklist(entries) {
+  // Keep the catalog's tag order so the checklist always reads the same way
+  const ppe = Object.keys(PPE_TAGS)
+    .map((tag) => ({
+      tag,
+      label: PPE_LABELS[tag],
+      tools: entries
+        .filter((entry) => entry.ppe.includes(tag))
+        .map((entry) => entry.productName),
+    }))
+    .filter((item) => item.tools.length > 0);
+
+  const tools = entries
+    .map((entry) => ({
+      id: entry.id,
+      productName: entry.productName,
+      // Placeholder notes tell the customer nothing
+      notes: entry.safetyNotes
+        .filter((note) => !isPlaceholder(note))
+        .map((note) => note.replace(/\*+/g, "").trim()),
+    }))
+    .filter((tool) => tool.notes.length > 0);
+
+  return {
+    ppe,
+    tools,
+    toolsWithoutPpe: entries
+      .filter((entry) => entry.ppe.length === 0)
+      .map((entry) => entry.productName),
+  };
+}
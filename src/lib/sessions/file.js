@@ -0,0 +1,58 @@
+// File: lib/sessions/file.js
+import { promises as fs } from "fs";
+import path from "path";
+
+// Session directory, relative to the data directory, unless SESSION_DIR is set
+export const SESSION_DIR = "sessions";
+
+/**
+ * Keeps one JSON file per session, so sessions survive restarts and can be
+ * shared by server instances on the same disk. SESSION_DIR overrides the
+ * directory.
+ * @param {Object} env - Configuration
+ * @returns {import("./index.js").SessionStore} - The store
+ */
+export function createFileStore(env) {
+  const directory = env.SESSION_DIR
+    ? path.resolve(env.SESSION_DIR)
+    : path.join(process.cwd(), "data", SESSION_DIR);
+
+  // Session ids are checked before they reach the store; this keeps a bad
+  // id from ever naming a file outside the directory
+  const sessionPath = (id) => {
+    if (!/^[a-z0-9-]+$/i.test(id)) {
+      throw new Error(`Invalid session id: ${id}`);
+    }
+    return path.join(directory, `${id}.json`);
+  };
+
+  return {
+    name: "file",
+
+    async get(id) {
+      try {
+        return JSON.parse(await fs.readFile(sessionPath(id), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+        console.error(`Error reading session ${id}:`, error);
+        throw error;
+      }
+    },
+
+    async set(session) {
+      const file = sessionPath(session.id);
+      const temporary = `${file}.${process.pid}.tmp`;
+
+      // Write then rename, so a reader never sees half a session
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(temporary, JSON.stringify(session, null, 2) + "\n");
+      await fs.rename(temporary, file);
+    },
+
+    async delete(id) {
+      await fs.rm(sessionPath(id), { force: true });
+    },
+  };
+}
@@ -0,0 +1,172 @@
+// File: lib/sessions/index.js
+import { randomUUID } from "crypto";
+import { ERROR_CODES } from "../apiErrors.js";
+import { assignPromptVersion } from "../promptTemplates.js";
+import { createFileStore } from "./file.js";
+import { createMemoryStore } from "./memory.js";
+
+/**
+ * Stores that can be chosen with the SESSION_STORE environment variable
+ */
+export const SESSION_STORES = {
+  memory: createMemoryStore,
+  file: createFileStore,
+};
+
+export const DEFAULT_SESSION_STORE = "memory";
+
+// Sessions not saved for this long are treated as gone
+export const DEFAULT_SESSION_TTL_HOURS = 24;
+
+/**
+ * Conversation phases, in order:
+ * gathering - asking about the project
+ * recommendation - summary written, recommendation not yet given
+ * complete - recommendation given
+ */
+export const PHASES = ["gathering", "recommendation", "complete"];
+
+const SESSION_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Error with the HTTP status the API routes should answer with
+ */
+export class SessionError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {string} [code] - One of ERROR_CODES, which sets the HTTP status
+   */
+  constructor(message, code = "INVALID_REQUEST") {
+    super(message);
+    this.name = "SessionError";
+    this.code = code;
+    this.status = ERROR_CODES[code].status;
+  }
+}
+
+/**
+ * @typedef {Object} Session
+ * @property {string} id - Opaque session id given to the client
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp of the last save
+ * @property {string} phase - One of PHASES
+ * @property {string} promptVersion - Prompt version the conversation uses, assigned by PROMPT_VERSIONS weights
+ * @property {import("../llm/index.js").ChatMessage[]} history - Completed gathering turns
+ * @property {string|null} pendingInput - Customer message whose reply has not finished
+ * @property {string} projectInformation - The FINAL SUMMARY text, once written
+ * @property {import("../projectSummary.js").ProjectDetails|null} project - Details parsed from the summary
+ * @property {Object|null} recommendation - Final recommendation payload, once given
+ * @property {SessionOutcome|null} outcome - How the conversation ended, once it has
+ */
+
+/**
+ * @typedef {Object} SessionOutcome
+ * @property {string} result - "recommended", or "refused" when the recommendation failed the safeguards
+ * @property {string} promptVersion - Prompt version the conversation ended on
+ * @property {string} completedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} SessionStore
+ * @property {string} name - SESSION_STORES key
+ * @property {function(string): Promise<Session|null>} get - Read a session by id
+ * @property {function(Session): Promise<void>} set - Save a session
+ * @property {function(string): Promise<void>} delete - Remove a session
+ */
+
+// Stores are reused between requests while the configuration is the same
+let cached = null;
+
+/**
+ * Get the store chosen by configuration
+ * @param {Object} [env] - Configuration, process.env by default
+ * @returns {SessionStore} - The store
+ */
+export function getSessionStore(env = process.env) {
+  const name = (env.SESSION_STORE || DEFAULT_SESSION_STORE)
+    .trim()
+    .toLowerCase();
+  if (!SESSION_STORES[name]) {
+    throw new Error(
+      `Unknown SESSION_STORE "${name}". Expected one of: ${Object.keys(
+        SESSION_STORES
+      ).join(", ")}.`
+    );
+  }
+
+  if (!cached || cached.name !== name || cached.env !== env) {
+    cached = { name, env, store: SESSION_STORES[name](env) };
+  }
+  return cached.store;
+}
+
+/**
+ * Start a new conversation
+ * @returns {Promise<Session>} - The saved session
+ */
+export async function createSession() {
+  const now = new Date().toISOString();
+  const id = randomUUID();
+  const session = {
+    id,
+    createdAt: now,
+    updatedAt: now,
+    phase: PHASES[0],
+    promptVersion: assignPromptVersion(id),
+    history: [],
+    pendingInput: null,
+    projectInformation: "",
+    project: null,
+    recommendation: null,
+    outcome: null,
+  };
+  await getSessionStore().set(session);
+  return session;
+}
+
+/**
+ * Read a conversation the client refers to
+ * @param {string} id - Session id from the client
+ * @returns {Promise<Session>} - The session
+ * @throws {SessionError} - INVALID_REQUEST for a malformed id, SESSION_NOT_FOUND for an unknown or expired one
+ */
+export async function loadSession(id) {
+  if (typeof id !== "string" || !SESSION_ID_PATTERN.test(id)) {
+    throw new SessionError("Invalid session id.");
+  }
+
+  const store = getSessionStore();
+  const session = await store.get(id);
+  if (session && isExpired(session)) {
+    await store.delete(id);
+  } else if (session) {
+    return session;
+  }
+  throw new SessionError(
+    "This conversation has expired. Please start a new project.",
+    "SESSION_NOT_FOUND"
+  );
+}
+
+/**
+ * Save changes to a conversation
+ * @param {Session} session - The session to save
+ * @returns {Promise<Session>} - The session with its new updatedAt
+ */
+export async function saveSession(session) {
+  session.updatedAt = new Date().toISOString();
+  await getSessionStore().set(session);
+  return session;
+}
+
+/**
+ * @param {Session} session - A stored session
+ * @returns {boolean} - Whether it has gone unsaved for longer than SESSION_TTL_HOURS
+ */
+function isExpired(session) {
+  const hours =
+    parseFloat(process.env.SESSION_TTL_HOURS || "") ||
+    DEFAULT_SESSION_TTL_HOURS;
+  return Date.parse(session.updatedAt) + hours * 60 * 60 * 1000 < Date.now();
+}
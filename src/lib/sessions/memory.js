@@ -0,0 +1,40 @@
+// File: lib/sessions/memory.js
+
+// Sessions kept before the least recently used ones are dropped
+export const DEFAULT_MAX_SESSIONS = 10000;
+
+/**
+ * Keeps sessions in this process. They are lost on restart and are not
+ * shared between server instances. SESSION_MAX_COUNT caps how many are
+ * kept, dropping the least recently saved first.
+ * @param {Object} env - Configuration
+ * @returns {import("./index.js").SessionStore} - The store
+ */
+export function createMemoryStore(env) {
+  const maxSessions =
+    parseInt(env.SESSION_MAX_COUNT || "", 10) || DEFAULT_MAX_SESSIONS;
+  const sessions = new Map();
+
+  return {
+    name: "memory",
+
+    async get(id) {
+      const session = sessions.get(id);
+      // Hand out copies so callers only change the store by saving
+      return session ? structuredClone(session) : null;
+    },
+
+    async set(session) {
+      // Re-inserting keeps the Map in least recently saved order
+      sessions.delete(session.id);
+      sessions.set(session.id, structuredClone(session));
+      while (sessions.size > maxSessions) {
+        sessions.delete(sessions.keys().next().value);
+      }
+    },
+
+    async delete(id) {
+      sessions.delete(id);
+    },
+  };
+}
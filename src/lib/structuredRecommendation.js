@@ -0,0 +1,309 @@
+// File: lib/structuredRecommendation.js
+import { EXPERIENCE_LABELS, experienceRating } from "./comparison.js";
+
+// Model calls allowed before an invalid payload is returned flagged
+export const MAX_EXTRACTION_ATTEMPTS = 2;
+
+// Difficulty labels the recommendation prompt asks the model to use
+export const DIFFICULTY_LABELS = Object.values(EXPERIENCE_LABELS);
+
+/**
+ * @typedef {Object} RecommendedTool
+ * @property {string} catalogId - Catalog entry id
+ * @property {string} productName - Product name from the catalog
+ * @property {string} reason - Why the tool suits the project
+ * @property {string} difficulty - One of DIFFICULTY_LABELS: the catalog's experience rating, or the model's label for a tool the catalog does not rate
+ * @property {{days: number, justification: string}} hireDuration - Hire length in days and why
+ * @property {number} quantity - How many to hire
+ * @property {string|null} url - Product page from the catalog
+ */
+
+/**
+ * @typedef {Object} StructuredRecommendation
+ * @property {boolean} valid - Whether the payload passed validation
+ * @property {number} attempts - Model calls made
+ * @property {string[]} errors - Validation problems left after the last attempt
+ * @property {RecommendedTool[]} tools - Tools that passed validation, in the order recommended
+ * @property {string[]} uncertainties - Missing or unclear project details
+ * @property {string[]} safetyNotes - Safety tips for the recommended tools
+ */
+
+/**
+ * Ask the model to restate a finished recommendation as JSON, retrying with
+ * the validation errors when the reply does not match the schema
+ * @param {import("./llm/index.js").LLMModel} model - Model to ask
+ * @param {Object} recommendation - The finished recommendation
+ * @param {string} recommendation.text - Recommendation markdown
+ * @param {Array} recommendation.tools - Tools collected by the link rewriter
+ * @param {Object} catalog - Catalog returned by getCatalog
+ * @returns {Promise<StructuredRecommendation>} - Validated payload, or the valid part of it with errors
+ */
+export async function extractRecommendation(model, { text, tools }, catalog) {
+  let result = null;
+  let attempts = 0;
+
+  while (attempts < MAX_EXTRACTION_ATTEMPTS) {
+    attempts++;
+    const prompt = buildExtractionPrompt(text, tools, result?.errors);
+
+    let reply;
+    try {
+      reply = await model.generate(prompt);
+    } catch (error) {
+      console.error("Error extracting the structured recommendation:", error);
+      result = { ...emptyPayload(), errors: [`Model error: ${error.message}`] };
+      continue;
+    }
+
+    result = validateRecommendation(parseJsonReply(reply), tools, catalog);
+    if (result.errors.length === 0) {
+      break;
+    }
+  }
+
+  if (result.errors.length > 0) {
+    console.warn(
+      `Structured recommendation failed validation after ${attempts} attempts:`,
+      result.errors
+    );
+  }
+
+  return { valid: result.errors.length === 0, attempts, ...result };
+}
+
+/**
+ * Build the prompt asking for the recommendation as JSON
+ * @param {string} text - Recommendation markdown
+ * @param {Array} tools - Tools collected by the link rewriter
+ * @param {string[]} [errors] - Problems with the previous reply, if retrying
+ * @returns {string} - Prompt text
+ */
+export function buildExtractionPrompt(text, tools, errors = []) {
+  const toolLines = tools.map(
+    (tool) =>
+      `- ${tool.id}: ${tool.productName}${
+        tool.days ? `, ${tool.days} days` : ""
+      }`
+  );
+
+  return [
+    "Restate the tool hire recommendation below as JSON. Reply with the JSON object only, with no other text.",
+    "",
+    "Schema:",
+    "{",
+    '  "tools": [{',
+    '    "catalogId": string, one of the catalog IDs listed below,',
+    '    "reason": string, why the tool suits the project,',
+    `    "difficulty": ${DIFFICULTY_LABELS.map((label) => `"${label}"`).join(
+      " or "
+    )},`,
+    '    "hireDuration": { "days": number, "justification": string },',
+    '    "quantity": whole number, how many to hire (1 unless the recommendation says otherwise)',
+    "  }],",
+    '  "uncertainties": [string], missing or unclear project details,',
+    '  "safetyNotes": [string], safety tips and caveats',
+    "}",
+    "",
+    "Include every recommended tool once, in the order recommended. Use the hire lengths given with the catalog IDs. Do not include URLs or prices.",
+    "",
+    "Catalog IDs of the recommended tools:",
+    ...(toolLines.length > 0 ? toolLines : ["(none)"]),
+    ...(errors.length > 0
+      ? [
+          "",
+          "Your previous reply had these problems. Fix them:",
+          ...errors.map((error) => `- ${error}`),
+        ]
+      : []),
+    "",
+    "Recommendation:",
+    text,
+  ].join("\n");
+}
+
+/**
+ * Read the JSON object from a model reply, which may be wrapped in a code
+ * fence or surrounded by text
+ * @param {string} reply - Model reply
+ * @returns {*} - Parsed value, or undefined if there is no valid JSON
+ */
+export function parseJsonReply(reply) {
+  const fenced = reply.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1] : reply;
+  const start = body.indexOf("{");
+  const end = body.lastIndexOf("}");
+  if (start === -1 || end < start) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(body.slice(start, end + 1));
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Check a parsed reply against the schema and the recommendation it came
+ * from. Names and URLs are taken from the catalog, never from the model.
+ * @param {*} data - Parsed reply
+ * @param {Array} tools - Tools collected by the link rewriter
+ * @param {Object} catalog - Catalog returned by getCatalog
+ * @returns {{errors: string[], tools: RecommendedTool[], uncertainties: string[], safetyNotes: string[]}} - Problems found and the valid parts
+ */
+export function validateRecommendation(data, tools, catalog) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { ...emptyPayload(), errors: ["Reply is not a JSON object."] };
+  }
+
+  const errors = [];
+  const valid = [];
+
+  if (!Array.isArray(data.tools)) {
+    errors.push('"tools" must be an array.');
+  } else {
+    data.tools.forEach((item, index) => {
+      const toolErrors = validateTool(item, index, tools, catalog);
+      if (toolErrors.length > 0) {
+        errors.push(...toolErrors);
+      } else if (valid.some((tool) => tool.catalogId === item.catalogId)) {
+        errors.push(`tools[${index}]: "${item.catalogId}" is listed twice.`);
+      } else {
+        valid.push(toRecommendedTool(item, catalog));
+      }
+    });
+  }
+
+  // Every tool linked in the text must be described
+  for (const tool of tools) {
+    const listed = Array.isArray(data.tools)
+      ? data.tools.some((item) => item?.catalogId === tool.id)
+      : false;
+    if (!listed) {
+      errors.push(`"${tool.id}" is recommended but missing from "tools".`);
+    }
+  }
+
+  const uncertainties = stringList(data, "uncertainties", errors);
+  const safetyNotes = stringList(data, "safetyNotes", errors);
+
+  return { errors, tools: valid, uncertainties, safetyNotes };
+}
+
+/**
+ * Check one item of the "tools" array
+ * @param {*} item - Parsed item
+ * @param {number} index - Position in the array, for messages
+ * @param {Array} tools - Tools collected by the link rewriter
+ * @param {Object} catalog - Catalog returned by getCatalog
+ * @returns {string[]} - Problems found
+ */
+function validateTool(item, index, tools, catalog) {
+  const at = `tools[${index}]`;
+  if (!item || typeof item !== "object") {
+    return [`${at} must be an object.`];
+  }
+
+  const errors = [];
+  const linked = tools.find((tool) => tool.id === item.catalogId);
+
+  if (typeof item.catalogId !== "string" || !item.catalogId) {
+    errors.push(`${at}.catalogId must be a catalog ID.`);
+  } else if (!catalog.entriesById[item.catalogId]) {
+    errors.push(`${at}.catalogId "${item.catalogId}" is not in the catalog.`);
+  } else if (!linked) {
+    errors.push(
+      `${at}.catalogId "${item.catalogId}" is not one of the recommended tools.`
+    );
+  }
+
+  if (!nonEmptyString(item.reason)) {
+    errors.push(`${at}.reason must be a non-empty string.`);
+  }
+  if (!DIFFICULTY_LABELS.includes(item.difficulty)) {
+    errors.push(
+      `${at}.difficulty must be one of: ${DIFFICULTY_LABELS.join(", ")}.`
+    );
+  }
+
+  const duration = item.hireDuration;
+  if (!duration || typeof duration !== "object") {
+    errors.push(`${at}.hireDuration must be an object.`);
+  } else {
+    if (typeof duration.days !== "number" || !(duration.days > 0)) {
+      errors.push(`${at}.hireDuration.days must be a positive number.`);
+    } else if (linked?.days && duration.days !== linked.days) {
+      errors.push(
+        `${at}.hireDuration.days is ${duration.days} but the recommendation says ${linked.days}.`
+      );
+    }
+    if (!nonEmptyString(duration.justification)) {
+      errors.push(
+        `${at}.hireDuration.justification must be a non-empty string.`
+      );
+    }
+  }
+
+  if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+    errors.push(`${at}.quantity must be a whole number of at least 1.`);
+  }
+
+  return errors;
+}
+
+/**
+ * Build the payload entry for a valid item. The difficulty comes from the
+ * catalog's experience rating when it has one, so it matches the comparison
+ * view whatever the model wrote.
+ * @param {Object} item - Valid item of the "tools" array
+ * @param {Object} catalog - Catalog returned by getCatalog
+ * @returns {RecommendedTool} - Payload entry
+ */
+function toRecommendedTool(item, catalog) {
+  const entry = catalog.entriesById[item.catalogId];
+  const { level } = experienceRating(entry);
+  return {
+    catalogId: item.catalogId,
+    productName: entry.productName,
+    reason: item.reason.trim(),
+    difficulty: level ? EXPERIENCE_LABELS[level] : item.difficulty,
+    hireDuration: {
+      days: item.hireDuration.days,
+      justification: item.hireDuration.justification.trim(),
+    },
+    quantity: item.quantity,
+    url: catalog.urlsById[item.catalogId] || null,
+  };
+}
+
+/**
+ * Read an array of strings from the reply, recording a problem if it is malformed
+ * @param {Object} data - Parsed reply
+ * @param {string} key - Property name
+ * @param {string[]} errors - Problems found so far
+ * @returns {string[]} - The non-empty strings
+ */
+function stringList(data, key, errors) {
+  if (!Array.isArray(data[key]) || !data[key].every(nonEmptyString)) {
+    errors.push(`"${key}" must be an array of non-empty strings.`);
+    return Array.isArray(data[key])
+      ? data[key].filter(nonEmptyString).map((value) => value.trim())
+      : [];
+  }
+  return data[key].map((value) => value.trim());
+}
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether it is a string with some text
+ */
+function nonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * @returns {{tools: RecommendedTool[], uncertainties: string[], safetyNotes: string[]}} - Payload with nothing in it
+ */
+function emptyPayload() {
+  return { tools: [], uncertainties: [], safetyNotes: [] };
+}
@@ -0,0 +1,338 @@
+// File: lib/transport.js
+import { TRANSPORT_TAGS } from "./catalog.js";
+import { isPlaceholder } from "./catalogLint.js";
+
+/**
+ * Vehicle classes from smallest to largest. The catalog transport tags come
+ * first, followed by our own delivery for anything too big to collect.
+ * Limits are rules of thumb for a typical vehicle of each class: the
+ * heaviest single item one or two people can load, the longest item that
+ * fits, and the total load it can carry.
+ */
+export const VEHICLES = [
+  {
+    key: "car",
+    label: "Car",
+    maxItemKg: 40,
+    maxLengthMm: 1200,
+    maxLoadKg: 150,
+  },
+  {
+    key: "small-van",
+    label: "Small van",
+    maxItemKg: 150,
+    maxLengthMm: 1800,
+    maxLoadKg: 600,
+  },
+  {
+    key: "transit",
+    label: "Transit-size van",
+    maxItemKg: 400,
+    maxLengthMm: 3000,
+    maxLoadKg: 1000,
+  },
+  {
+    key: "towing",
+    label: "Trailer or towing vehicle",
+    maxItemKg: 1500,
+    maxLengthMm: 4000,
+    maxLoadKg: 1500,
+  },
+  {
+    key: "delivery",
+    label: "Delivery by us",
+    maxItemKg: Infinity,
+    maxLengthMm: Infinity,
+    maxLoadKg: Infinity,
+  },
+].filter(
+  (vehicle) => vehicle.key === "delivery" || vehicle.key in TRANSPORT_TAGS
+);
+
+// Kilograms per unit of weight found in the specifications
+const WEIGHT_UNITS = {
+  g: 0.001,
+  kg: 1,
+  kgs: 1,
+  lb: 0.4536,
+  lbs: 0.4536,
+  ton: 1000,
+  tons: 1000,
+  tonne: 1000,
+  tonnes: 1000,
+};
+
+// Millimetres per unit of length found in the specifications
+const LENGTH_UNITS = { mm: 1, cm: 10, m: 1000 };
+
+// Specification keys that describe the size of the machine itself, rather
+// than a blade, hose or cable that comes with it
+const SIZE_KEY = /dimension|overall|package size|^length|machine length/i;
+
+// Worked examples and template brackets left in the specifications
+const EXAMPLE_VALUE = /\be\.g\.|\[|specify/i;
+
+/**
+ * @typedef {Object} TransportItem
+ * @property {string} id - Catalog entry id
+ * @property {string} productName - Product name
+ * @property {number|null} weightKg - Heaviest weight listed in the specifications
+ * @property {number|null} lengthMm - Longest dimension listed in the specifications
+ * @property {string|null} vehicle - Smallest VEHICLES key the item fits in, or null if the catalog gives nothing to go on
+ */
+
+/**
+ * @typedef {Object} TransportSummary
+ * @property {TransportItem[]} items - Each recommended tool
+ * @property {number} totalWeightKg - Sum of the known weights
+ * @property {TransportItem|null} largestItem - The item that needs the biggest vehicle, null when any item's vehicle is unknown
+ * @property {string|null} vehicle - VEHICLES key needed for the whole set, null when any item's vehicle is unknown and the rest can be collected
+ * @property {string} vehicleLabel - Display label for that vehicle, "Unknown" when there is none
+ * @property {string[]} reasons - Why that vehicle is needed
+ * @property {string[]} unknownWeight - Tools with no weight in the catalog
+ * @property {string[]} unknownVehicle - Tools with no transport tag, weight or size in the catalog
+ */
+
+/**
+ * Work out how the recommended tools can be taken away
+ * @param {import("./catalog.js").CatalogEntry[]} entries - Recommended catalog entries
+ * @returns {TransportSummary} - Weight, largest item and the vehicle needed
+ */
+export function summariseTransport(entries) {
+  const reasons = [];
+  const items = entries.map((entry) => {
+    const weightKg = parseWeightKg(entry.specs);
+    const lengthMm = parseLengthMm(entry.specs);
+    let rank = entry.transport ? vehicleRank(entry.transport) : 0;
+
+    if (entry.transport && rank > 0) {
+      reasons.push(
+        `${entry.productName} is listed for ${VEHICLES[
+          rank
+        ].label.toLowerCase()} transport`
+      );
+    }
+    const byWeight = weightKg
+      ? VEHICLES.findIndex((vehicle) => weightKg <= vehicle.maxItemKg)
+      : 0;
+    if (byWeight > rank) {
+      rank = byWeight;
+      reasons.push(`${entry.productName} weighs ${formatKg(weightKg)}`);
+    }
+    const byLength = lengthMm
+      ? VEHICLES.findIndex((vehicle) => lengthMm <= vehicle.maxLengthMm)
+      : 0;
+    if (byLength > rank) {
+      rank = byLength;
+      reasons.push(`${entry.productName} is ${formatLength(lengthMm)} long`);
+    }
+
+    return {
+      id: entry.id,
+      productName: entry.productName,
+      weightKg,
+      lengthMm,
+      // Never assume a car is enough for a machine we know nothing about
+      vehicle:
+        entry.transport || weightKg || lengthMm ? VEHICLES[rank].key : null,
+    };
+  });
+
+  const totalWeightKg =
+    Math.round(
+      items.reduce((sum, item) => sum + (item.weightKg || 0), 0) * 10
+    ) / 10;
+
+  let rank = Math.max(0, ...items.map((item) => vehicleRank(item.vehicle)));
+  const byLoad = VEHICLES.findIndex(
+    (vehicle) => totalWeightKg <= vehicle.maxLoadKg
+  );
+  if (byLoad > rank) {
+    rank = byLoad;
+    reasons.push(`The full set weighs ${formatKg(totalWeightKg)}`);
+  }
+
+  // A tool we know nothing about could need anything short of delivery, so
+  // the set's vehicle is only known when every tool's is
+  const unknown = items.some((item) => item.vehicle === null);
+  const vehicle =
+    unknown && VEHICLES[rank].key !== "delivery" ? null : VEHICLES[rank];
+
+  // The item that drives the vehicle choice, then the heaviest
+  const largestItem = unknown
+    ? null
+    : [...items].sort(
+        (a, b) =>
+          vehicleRank(b.vehicle) - vehicleRank(a.vehicle) ||
+          (b.weightKg || 0) - (a.weightKg || 0) ||
+          (b.lengthMm || 0) - (a.lengthMm || 0)
+      )[0] || null;
+
+  return {
+    items,
+    totalWeightKg,
+    largestItem,
+    vehicle: vehicle ? vehicle.key : null,
+    vehicleLabel: vehicle ? vehicle.label : "Unknown",
+    reasons,
+    unknownWeight: items
+      .filter((item) => item.weightKg === null)
+      .map((item) => item.productName),
+    unknownVehicle: items
+      .filter((item) => item.vehicle === null)
+      .map((item) => item.productName),
+  };
+}
+
+/**
+ * Render a transport summary as markdown for the recommendation text
+ * @param {TransportSummary} summary - Result of summariseTransport
+ * @returns {string} - Markdown section, or an empty string if there are no tools
+ */
+export function formatTransport(summary) {
+  if (summary.items.length === 0) {
+    return "";
+  }
+
+  const lines = ["## Transport", ""];
+  lines.push(`- Vehicle needed: **${summary.vehicleLabel}**`);
+  if (summary.totalWeightKg > 0) {
+    lines.push(
+      `- Total weight: ${
+        summary.unknownWeight.length > 0 ? "at least " : ""
+      }${formatKg(summary.totalWeightKg)}`
+    );
+  }
+  if (summary.largestItem) {
+    const { productName, weightKg, lengthMm } = summary.largestItem;
+    const details = [
+      weightKg ? formatKg(weightKg) : null,
+      lengthMm ? `${formatLength(lengthMm)} long` : null,
+    ].filter(Boolean);
+    lines.push(
+      `- Largest item: ${productName}${
+        details.length > 0 ? ` (${details.join(", ")})` : ""
+      }`
+    );
+  }
+  for (const reason of summary.reasons) {
+    lines.push(`- ${reason}`);
+  }
+  if (summary.vehicle === "delivery") {
+    lines.push(
+      "",
+      "This set is too large or heavy to collect. Please ask us to arrange delivery."
+    );
+  }
+  if (summary.unknownVehicle.length > 0) {
+    lines.push(
+      "",
+      `We have no size or weight details for ${summary.unknownVehicle.join(
+        ", "
+      )}, so we cannot say what vehicle the set needs. Please check with us before collecting.`
+    );
+  } else if (summary.unknownWeight.length > 0) {
+    lines.push(
+      "",
+      `Weights for ${summary.unknownWeight.join(
+        ", "
+      )} are not listed, so please check with us before collecting.`
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Read the heaviest weight from an entry's specifications
+ * @param {Object<string, string>} specs - Keyed technical specifications
+ * @returns {number|null} - Weight in kilograms, or null if none is listed
+ */
+export function parseWeightKg(specs) {
+  const matches = Object.entries(specs)
+    .filter(([key, value]) => /weight/i.test(key) && isUsable(value))
+    .flatMap(([, value]) => [
+      ...value.matchAll(
+        /(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?\s*(kgs?|g|lbs?|tons?|tonnes?)\b/gi
+      ),
+    ])
+    .map(([, low, high, unit]) => ({
+      kg: parseFloat(high || low) * WEIGHT_UNITS[unit.toLowerCase()],
+      imperial: /^lb/i.test(unit),
+    }));
+
+  // Imperial figures are usually conversions of a metric one next to them
+  const metric = matches.filter((match) => !match.imperial);
+  const weights = (metric.length > 0 ? metric : matches).map(
+    (match) => match.kg
+  );
+
+  return weights.length > 0 ? Math.round(Math.max(...weights) * 10) / 10 : null;
+}
+
+/**
+ * Read the longest dimension from an entry's specifications
+ * @param {Object<string, string>} specs - Keyed technical specifications
+ * @returns {number|null} - Length in millimetres, or null if none is listed
+ */
+export function parseLengthMm(specs) {
+  const lengths = Object.entries(specs)
+    .filter(([key, value]) => SIZE_KEY.test(key) && isUsable(value))
+    .flatMap(([, value]) => {
+      // "368 x 300 x 100mm" gives the unit once for the whole group
+      const grouped = [
+        ...value.matchAll(
+          /(\d+(?:\.\d+)?)\s*(?:x|×)\s*(\d+(?:\.\d+)?)(?:\s*(?:x|×)\s*(\d+(?:\.\d+)?))?\s*(mm|cm|m)\b/gi
+        ),
+      ].flatMap(([, a, b, c, unit]) =>
+        [a, b, c]
+          .filter(Boolean)
+          .map((n) => parseFloat(n) * LENGTH_UNITS[unit.toLowerCase()])
+      );
+      const single = [...value.matchAll(/(\d+(?:\.\d+)?)\s*(mm|cm|m)\b/gi)].map(
+        ([, n, unit]) => parseFloat(n) * LENGTH_UNITS[unit.toLowerCase()]
+      );
+      return [...grouped, ...single];
+    });
+
+  return lengths.length > 0 ? Math.round(Math.max(...lengths)) : null;
+}
+
+/**
+ * Whether a specification value holds real figures
+ * @param {string} value - Specification value
+ * @returns {boolean} - False for placeholders and worked examples
+ */
+function isUsable(value) {
+  return !isPlaceholder(value) && !EXAMPLE_VALUE.test(value);
+}
+
+/**
+ * Position of a vehicle in VEHICLES
+ * @param {string} key - VEHICLES key
+ * @returns {number} - Index, or 0 for an unknown key
+ */
+function vehicleRank(key) {
+  return Math.max(
+    0,
+    VEHICLES.findIndex((vehicle) => vehicle.key === key)
+  );
+}
+
+/**
+ * @param {number} kg - Weight in kilograms
+ * @returns {string} - e.g. "3.1 kg" or "1.7 tonnes"
+ */
+function formatKg(kg) {
+  return kg >= 1000
+    ? `${Math.round(kg / 100) / 10} tonnes`
+    : `${Math.round(kg * 10) / 10} kg`;
+}
+
+/**
+ * @param {number} mm - Length in millimetres
+ * @returns {string} - e.g. "368 mm" or "3.5 m"
+ */
+function formatLength(mm) {
+  return mm >= 1000 ? `${Math.round(mm / 100) / 10} m` : `${mm} mm`;
+}